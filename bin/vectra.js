@@ -12,6 +12,8 @@ async function run() {
   let configPath = null;
   let stream = false;
   let target = null;
+  let debounceMs;
+  let resume = false;
 
   for (let i = 1; i < args.length; i++) {
     const arg = args[i];
@@ -22,6 +24,15 @@ async function run() {
       i++; // Skip next arg
     } else if (arg === '--stream') {
       stream = true;
+    } else if (arg === '--resume') {
+      resume = true;
+    } else if (arg.startsWith('--debounce=')) {
+      debounceMs = Number(arg.split('=')[1]);
+      if (!Number.isFinite(debounceMs) || debounceMs < 0) {
+        console.error(`Invalid --debounce value "${arg.split('=')[1]}": expected a non-negative number of milliseconds`);
+        console.error('Usage: vectra <ingest|query|watch|webconfig|dashboard> <path|text> [--config=path] [--stream] [--resume] [--debounce=ms]');
+        process.exit(1);
+      }
     } else if (!target && !arg.startsWith('--')) {
       target = arg;
     }
@@ -38,7 +49,7 @@ async function run() {
   if (cmd) {
       telemetry.track('cli_command_used', {
           command: cmd,
-          flags: stream ? ['--stream'] : []
+          flags: [stream ? '--stream' : null, resume ? '--resume' : null].filter(Boolean)
       });
   }
   
@@ -57,7 +68,7 @@ async function run() {
   }
 
   if (!cmd || (!target && cmd !== 'webconfig' && cmd !== 'dashboard')) {
-    console.error('Usage: vectra <ingest|query|webconfig|dashboard> <path|text> [--config=path] [--stream]');
+    console.error('Usage: vectra <ingest|query|watch|webconfig|dashboard> <path|text> [--config=path] [--stream] [--resume] [--debounce=ms]');
     await telemetry.flush();
     process.exit(1);
   }
@@ -83,8 +94,24 @@ async function run() {
   }
   const client = new VectraClient(cfg);
   if (cmd === 'ingest') {
-    await client.ingestDocuments(path.resolve(process.cwd(), target));
-    console.log('Ingestion complete');
+    const summary = await client.ingestDocuments(path.resolve(process.cwd(), target), { resume, checkpoint: true });
+    if (summary && summary.checkpoint) {
+      console.log(`Ingestion finished with ${summary.failed} failed file(s); rerun with --resume to retry them`);
+    } else {
+      console.log('Ingestion complete');
+    }
+  } else if (cmd === 'watch') {
+    client.callbacks.push({
+      onWatchEvent: (e) => console.log(`[watch] ${e.action} ${e.filePath}${e.error ? `: ${e.error.message || e.error}` : ''}`)
+    });
+    const watcher = await client.watch(path.resolve(process.cwd(), target), { debounceMs });
+    console.log(`Watching ${path.resolve(process.cwd(), target)} (Ctrl+C to stop)`);
+    await new Promise(resolve => {
+      const stop = () => resolve();
+      process.once('SIGINT', stop);
+      process.once('SIGTERM', stop);
+    });
+    await watcher.close();
   } else if (cmd === 'query') {
     const res = await client.queryRAG(target, null, stream);
     if (stream) {
@@ -98,9 +125,11 @@ async function run() {
     }
   } else {
     console.error('Unknown command');
+    await client.close();
     await telemetry.flush();
     process.exit(1);
   }
+  await client.close();
   await telemetry.flush();
 }
 
@@ -2,10 +2,12 @@ const config = require('./src/config');
 const callbacks = require('./src/callbacks');
 const core = require('./src/core');
 const reranker = require('./src/reranker');
+const loaders = require('./src/loaders');
 
 module.exports = {
   ...config,
   ...callbacks,
   ...core,
-  ...reranker
+  ...reranker,
+  ...loaders
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const path = require('path');
+const zlib = require('zlib');
+const { readZip, isZip, ratioExceeded } = require('./zip');
+
+const TAR_BLOCK = 512;
+const ARCHIVE_EXTENSIONS = ['.zip', '.tar', '.tar.gz', '.tgz'];
+
+const archiveExtension = (filePath) => {
+  const name = String(filePath || '').toLowerCase();
+  return ARCHIVE_EXTENSIONS.find(ext => name.endsWith(ext)) || null;
+};
+
+const isGzip = (buffer) => buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+const isTar = (buffer) => buffer.length >= TAR_BLOCK && buffer.toString('latin1', 257, 262) === 'ustar';
+
+// Office documents and EPUBs are zip files too; only plain .zip/.tar(.gz) names are expanded
+const isArchive = (filePath, buffer = null) => {
+  if (archiveExtension(filePath)) return true;
+  if (!buffer || path.extname(String(filePath || ''))) return false;
+  return isGzip(buffer) || isTar(buffer) || isZip(buffer);
+};
+
+// Entry names become metadata, ids and (for other tools) paths: anything absolute or climbing
+// out of the archive root is rejected rather than normalized
+const safeEntryPath = (name) => {
+  const p = String(name || '').replace(/\\/g, '/');
+  if (!p || p.includes('\0') || p.startsWith('/') || /^[a-zA-Z]:/.test(p)) return null;
+  const parts = p.split('/').filter(s => s && s !== '.');
+  if (!parts.length || parts.some(s => s === '..')) return null;
+  return parts.join('/');
+};
+
+const octal = (buffer, start, length) => {
+  const s = buffer.toString('latin1', start, start + length).replace(/\0.*$/, '').trim();
+  return s ? parseInt(s, 8) : 0;
+};
+
+const cString = (buffer, start, length) => buffer.toString('utf-8', start, start + length).replace(/\0.*$/s, '');
+
+const paxRecords = (data) => {
+  const out = {};
+  const text = data.toString('utf-8');
+  let i = 0;
+  while (i < text.length) {
+    const sp = text.indexOf(' ', i);
+    const len = parseInt(text.slice(i, sp), 10);
+    if (!len || sp < 0) break;
+    const record = text.slice(sp + 1, i + len - 1);
+    const eq = record.indexOf('=');
+    if (eq > 0) out[record.slice(0, eq)] = record.slice(eq + 1);
+    i += len;
+  }
+  return out;
+};
+
+// ustar/GNU/pax tar over an already decompressed buffer; regular files only
+const readTar = (buffer) => {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let pax = {};
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(b => b === 0)) break;
+    const size = octal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const dataStart = offset + TAR_BLOCK;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+    if (type === 'L') { longName = cString(data, 0, data.length); continue; }
+    if (type === 'x') { pax = paxRecords(data); continue; }
+    if (type === 'g') continue;
+    const prefix = isTar(header) ? cString(header, 345, 155) : '';
+    const base = cString(header, 0, 100);
+    const name = pax.path || longName || (prefix ? `${prefix}/${base}` : base);
+    const mtime = pax.mtime ? Math.floor(Number(pax.mtime) * 1000) : octal(header, 136, 12) * 1000;
+    longName = null;
+    pax = {};
+    if (type !== '0' && type !== '\0' && type !== '7') continue;
+    entries.push({ name, size, compressedSize: size, mtimeMs: mtime, isDirectory: name.endsWith('/'), read: () => data });
+  }
+  return entries;
+};
+
+// Lists the files of a .zip, .tar or .tar.gz. Limits guard against decompression bombs:
+// declared sizes are checked up front and reads are capped, since headers can lie.
+const openArchive = (buffer, filePath, limits = {}) => {
+  const maxTotalBytes = limits.maxTotalBytes || Infinity;
+  const maxRatio = limits.maxCompressionRatio || Infinity;
+  if (isZip(buffer) || archiveExtension(filePath) === '.zip') {
+    return readZip(buffer).filter(e => !e.isDirectory).map(e => ({
+      name: e.name,
+      size: e.size,
+      compressedSize: e.compressedSize,
+      mtimeMs: null,
+      read: (maxBytes) => e.read({ maxBytes })
+    }));
+  }
+  let tar = buffer;
+  if (isGzip(buffer)) {
+    try {
+      tar = zlib.gunzipSync(buffer, Number.isFinite(maxTotalBytes) ? { maxOutputLength: maxTotalBytes } : {});
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Archive expands beyond ${maxTotalBytes} bytes: ${filePath}`);
+      throw err;
+    }
+    if (ratioExceeded(tar.length, buffer.length, maxRatio)) throw new Error(`Archive compression ratio exceeds ${maxRatio}: ${filePath}`);
+  }
+  return readTar(tar).filter(e => !e.isDirectory).map(e => ({ ...e, read: () => e.read() }));
+};
+
+module.exports = { archiveExtension, isArchive, safeEntryPath, openArchive, readTar };
@@ -26,6 +26,15 @@ class ChromaVectorStore extends VectorStore {
         return out;
     }
 
+    // Chroma accepts a single key per `where` object; several equality keys must be spelled as $and
+    _where(filter) {
+        if (!filter || typeof filter !== 'object') return undefined;
+        const keys = Object.keys(filter);
+        if (keys.length === 0) return undefined;
+        if (keys.length === 1) return filter;
+        return { $and: keys.map(k => ({ [k]: filter[k] })) };
+    }
+
     async addDocuments(docs) {
         await this._init();
         const ids = docs.map((d) => d.id || uuidv4());
@@ -60,7 +69,7 @@ class ChromaVectorStore extends VectorStore {
     async fileExists(sha256, size, lastModified) {
         await this._init();
         try {
-            const res = await this.collection.get({ where: { fileSHA256: sha256, fileSize: size, lastModified } });
+            const res = await this.collection.get({ where: this._where({ fileSHA256: sha256, fileSize: size, lastModified }) });
             return !!(res && Array.isArray(res.ids) && res.ids.length > 0);
         } catch (_) {
             return false;
@@ -72,7 +81,7 @@ class ChromaVectorStore extends VectorStore {
         const results = await this.collection.query({
             queryEmbeddings: [vector],
             nResults: limit,
-            where: filter || undefined
+            where: this._where(filter)
         });
 
         if (!results.documents || results.documents.length === 0) return [];
@@ -94,7 +103,7 @@ class ChromaVectorStore extends VectorStore {
         const lim = Math.max(1, Math.min(1000, Number(limit) || 100));
         const off = Math.max(0, Number(offset) || 0);
         const res = await this.collection.get({
-            where: filter || undefined,
+            where: this._where(filter),
             limit: lim,
             offset: off,
             include: ['documents', 'metadatas']
@@ -112,7 +121,7 @@ class ChromaVectorStore extends VectorStore {
             return;
         }
         if (filter) {
-            await this.collection.delete({ where: filter });
+            await this.collection.delete({ where: this._where(filter) });
             return;
         }
         throw new Error('deleteDocuments requires ids or filter');
@@ -262,6 +262,32 @@ class PostgresVectorStore extends VectorStore {
     return Object.values(combined).sort((a, b) => b.score - a.score).slice(0, limit);
   }
   
+  async listDocuments({ filter = null, limit = 100, offset = 0 } = {}) {
+    const params = [];
+    let where = '';
+    if (filter) {
+      where = `WHERE ${this._cMeta} @> $1`;
+      params.push(filter);
+    }
+    const lim = Math.max(1, Math.min(1000, Number(limit) || 100));
+    const off = Math.max(0, Number(offset) || 0);
+    const q = `SELECT "id" as id, ${this._cContent} as content, ${this._cMeta} as metadata, ${this._cCreatedAt} as "createdAt" FROM ${this._table} ${where} ORDER BY ${this._cCreatedAt} DESC, "id" LIMIT ${lim} OFFSET ${off}`;
+    const res = await this.client.query(q, params);
+    return res.rows.map(r => ({ id: r.id, content: r.content, metadata: r.metadata, createdAt: r.createdAt }));
+  }
+
+  async deleteDocuments({ ids = null, filter = null } = {}) {
+    if (Array.isArray(ids) && ids.length > 0) {
+      await this.client.query(`DELETE FROM ${this._table} WHERE "id" = ANY($1::text[])`, [ids]);
+      return;
+    }
+    if (filter) {
+      await this.client.query(`DELETE FROM ${this._table} WHERE ${this._cMeta} @> $1`, [filter]);
+      return;
+    }
+    throw new Error('deleteDocuments requires ids or filter');
+  }
+
   async fileExists(sha256, size, lastModified) {
     try {
       const q = `
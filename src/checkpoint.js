@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only JSON Lines record of a directory ingestion job: per-file status plus the
+// embeddings computed so far, so a resumed job neither re-ingests finished files nor
+// pays again for vectors of the file it was interrupted in. The first line records the
+// embedding namespace (provider:model:dimensions) the vectors belong to.
+class IngestionCheckpoint {
+  constructor(filePath, namespace = null) {
+    this.filePath = filePath;
+    this.namespace = namespace;
+    this.files = new Map();
+    this.embeddings = new Map();
+    this._queue = Promise.resolve();
+    this.error = null;
+  }
+
+  async load() {
+    let raw = '';
+    try { raw = await fs.promises.readFile(this.filePath, 'utf-8'); } catch (_) { return this.reset(); }
+    let header = null;
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      let rec;
+      // A crash can leave a truncated last line; everything before it is still valid
+      try { rec = JSON.parse(line); } catch (_) { continue; }
+      if (rec.type === 'header') {
+        header = rec;
+      } else if (rec.type === 'file') {
+        const { type, path: p, ...entry } = rec;
+        this.files.set(p, entry);
+      } else if (rec.type === 'embeddings' && Array.isArray(rec.items)) {
+        rec.items.forEach(([hash, vector]) => this.embeddings.set(hash, vector));
+      }
+    }
+    // Vectors from another model would be silently mixed into the index
+    if (this.namespace && raw.trim() && (!header || header.namespace !== this.namespace)) {
+      throw new Error(`Checkpoint ${this.filePath} was written for embeddings ${header ? header.namespace : '(unknown)'}, not ${this.namespace}; rerun without resume`);
+    }
+    return this;
+  }
+
+  async reset() {
+    this.files.clear();
+    this.embeddings.clear();
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.rm(this.filePath, { force: true });
+    if (this.namespace) this._append({ type: 'header', namespace: this.namespace, createdAt: Date.now() });
+    await this.flush();
+    return this;
+  }
+
+  fileEntry(filePath) {
+    return this.files.get(filePath) || null;
+  }
+
+  markFile(filePath, entry) {
+    const rec = { ...entry, updatedAt: Date.now() };
+    this.files.set(filePath, rec);
+    return this._append({ type: 'file', path: filePath, ...rec });
+  }
+
+  recordEmbeddings(items) {
+    if (!items.length) return this._queue;
+    items.forEach(([hash, vector]) => this.embeddings.set(hash, vector));
+    return this._append({ type: 'embeddings', items });
+  }
+
+  // Waits for pending writes and throws the first one that failed
+  async flush() {
+    await this._queue;
+    if (this.error) throw this.error;
+  }
+
+  async remove() {
+    await this._queue;
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+
+  // Writes are chained so concurrent files never interleave partial lines; a failed write
+  // keeps the chain going and is reported by flush()
+  _append(record) {
+    this._queue = this._queue
+      .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`))
+      .catch((err) => { if (!this.error) this.error = err; });
+    return this._queue;
+  }
+}
+
+module.exports = { IngestionCheckpoint };
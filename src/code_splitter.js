@@ -0,0 +1,205 @@
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python', '.rb': 'ruby',
+  '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.scala': 'scala', '.groovy': 'groovy',
+  '.go': 'go', '.rs': 'rust', '.swift': 'swift', '.dart': 'dart',
+  '.c': 'c', '.h': 'c', '.cc': 'cpp', '.cpp': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp',
+  '.cs': 'csharp', '.php': 'php', '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell'
+};
+
+// Languages whose blocks are delimited by indentation rather than braces
+const INDENT_LANGUAGES = {
+  python: /^(async\s+def|def|class)\s+/,
+  ruby: /^(def|class|module)\s+/
+};
+const HASH_COMMENT_LANGUAGES = new Set(['python', 'ruby', 'shell', 'php']);
+const CONTROL_KEYWORDS = /^(}\s*)?(if|else|for|foreach|while|do|switch|case|default|try|catch|finally|return|with|using|unsafe|loop|match|select|defer|go|lock|synchronized)\b/;
+const SYMBOL_PATTERNS = [
+  /\b(?:class|interface|struct|enum|trait|impl|module|namespace|object|protocol|extension)\s+([A-Za-z_$][\w$]*)/,
+  /\bfunction\s*\*?\s*([A-Za-z_$][\w$]*)/,
+  /\b(?:def|fn|func|fun|sub)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$?!]*)/,
+  /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*[:=]/,
+  /^[\w$.]+\.([A-Za-z_$][\w$]*)\s*=/,
+  /([A-Za-z_$][\w$]*)\s*\([^()]*\)\s*(?:[:\-=]>?[^{]*)?\{?\s*$/
+];
+
+const symbolOf = (line) => {
+  const t = line.trim();
+  for (const re of SYMBOL_PATTERNS) {
+    const m = re.exec(t);
+    if (m && !CONTROL_KEYWORDS.test(m[1])) return m[1];
+  }
+  return null;
+};
+
+// Brace depth at the start of every line, skipping strings and comments
+const braceDepths = (lines, hashComments) => {
+  const depths = [];
+  let depth = 0;
+  let inBlock = false;
+  let quote = null;
+  for (const line of lines) {
+    depths.push(depth);
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      const next = line[i + 1];
+      if (inBlock) {
+        if (ch === '*' && next === '/') { inBlock = false; i++; }
+        continue;
+      }
+      if (quote) {
+        if (ch === '\\') i++;
+        else if (ch === quote) quote = null;
+        continue;
+      }
+      if (ch === '/' && next === '/') break;
+      if (hashComments && ch === '#') break;
+      if (ch === '/' && next === '*') { inBlock = true; i++; continue; }
+      if (ch === '"' || ch === "'" || ch === '`') { quote = ch; continue; }
+      if (ch === '{') depth++;
+      else if (ch === '}') depth = Math.max(0, depth - 1);
+    }
+    // Only template literals span lines; unterminated quotes are treated as closed
+    if (quote && quote !== '`') quote = null;
+  }
+  return depths;
+};
+
+const indentOf = (line) => (/^[ \t]*/.exec(line)[0].replace(/\t/g, '    ').length);
+const isBlank = (line) => line.trim() === '';
+const isLeadIn = (line) => /^\s*(\/\/|\/\*|\*|#|@|\[[A-Z])/.test(line);
+
+class CodeSplitter {
+  constructor(language, maxSize, measure = (str) => str.length) {
+    this.language = language;
+    this.maxSize = Math.max(1, maxSize || 1000);
+    this.measure = measure;
+    this.indentRe = INDENT_LANGUAGES[language] || null;
+  }
+
+  split(text) {
+    const lines = text.split('\n');
+    this.lines = lines;
+    this._lineSizes = null;
+    this.depths = this.indentRe ? null : braceDepths(lines, HASH_COMMENT_LANGUAGES.has(this.language));
+    const units = this._units(0, lines.length, 0, null);
+    return this._pack(units).map(u => {
+      let to = u.to;
+      while (to > u.from + 1 && isBlank(lines[to - 1])) to--;
+      return { ...u, to };
+    }).map(u => ({
+      text: lines.slice(u.from, u.to).join('\n'),
+      metadata: {
+        language: this.language,
+        symbol: u.symbols.length ? u.symbols.join(', ') : null,
+        section: u.symbols.length ? u.symbols.join(', ') : undefined,
+        lineFrom: u.from + 1,
+        lineTo: u.to
+      }
+    })).filter(c => c.text.trim());
+  }
+
+  _isBoundary(i, level) {
+    const line = this.lines[i];
+    if (isBlank(line)) return false;
+    if (this.indentRe) {
+      return indentOf(line) === level && this.indentRe.test(line.trim());
+    }
+    if (this.depths[i] !== level) return false;
+    const t = line.trim();
+    if (t === '{' || t.startsWith('}') || CONTROL_KEYWORDS.test(t) || isLeadIn(line)) return false;
+    return /\{\s*(\/\/.*)?$/.test(t) || (i + 1 < this.lines.length && /^\s*\{\s*$/.test(this.lines[i + 1]));
+  }
+
+  // Splits lines [from, to) into units that each start at a declaration on the given nesting level
+  _units(from, to, level, parent) {
+    const starts = [];
+    for (let i = from; i < to; i++) {
+      if (!this._isBoundary(i, level)) continue;
+      let s = i;
+      while (s - 1 >= from && !isBlank(this.lines[s - 1]) && isLeadIn(this.lines[s - 1])) s--;
+      if (!starts.length || s > starts[starts.length - 1]) starts.push(s);
+    }
+    if (!starts.length || starts[0] !== from) starts.unshift(from);
+    const units = [];
+    starts.forEach((s, k) => {
+      const e = k + 1 < starts.length ? starts[k + 1] : to;
+      let sym = null;
+      for (let i = s; i < e; i++) {
+        if (this._isBoundary(i, level)) { sym = symbolOf(this.lines[i]); break; }
+      }
+      const qualified = sym && parent ? `${parent}.${sym}` : sym;
+      units.push({ from: s, to: e, symbols: qualified ? [qualified] : [], nested: sym !== null, level, name: qualified || parent });
+    });
+    return units;
+  }
+
+  _size(u) {
+    let n = 0;
+    for (let i = u.from; i < u.to; i++) n += this._lineSize(i);
+    return n;
+  }
+
+  _lineSize(i) {
+    if (!this._lineSizes) this._lineSizes = this.lines.map(line => this.measure(line) + 1);
+    return this._lineSizes[i];
+  }
+
+  _childLevel(u) {
+    if (this.indentRe) {
+      for (let i = u.from + 1; i < u.to; i++) {
+        if (!isBlank(this.lines[i]) && indentOf(this.lines[i]) > u.level) return indentOf(this.lines[i]);
+      }
+      return null;
+    }
+    return u.level + 1;
+  }
+
+  // Oversized declarations are split on their own members first, then on blank lines
+  _explode(u) {
+    if (this._size(u) <= this.maxSize) return [u];
+    const childLevel = u.nested ? this._childLevel(u) : null;
+    if (childLevel !== null) {
+      const children = this._units(u.from, u.to, childLevel, u.name);
+      if (children.length > 1) return children.flatMap(c => this._explode({ ...c, symbols: c.symbols.length ? c.symbols : u.symbols }));
+    }
+    const pieces = [];
+    let start = u.from;
+    let size = 0;
+    let lastBlank = -1;
+    for (let i = u.from; i < u.to; i++) {
+      size += this._lineSize(i);
+      if (isBlank(this.lines[i])) lastBlank = i;
+      if (size > this.maxSize && i > start) {
+        const cut = lastBlank > start ? lastBlank + 1 : i;
+        pieces.push({ ...u, from: start, to: cut, nested: false });
+        start = cut;
+        size = 0;
+        for (let j = start; j <= i; j++) size += this._lineSize(j);
+        lastBlank = -1;
+      }
+    }
+    if (start < u.to) pieces.push({ ...u, from: start, to: u.to, nested: false });
+    return pieces;
+  }
+
+  // Small neighbouring units are merged so chunks approach maxSize without crossing it
+  _pack(units) {
+    const out = [];
+    for (const u of units.flatMap(x => this._explode(x))) {
+      const prev = out[out.length - 1];
+      if (prev && prev.to === u.from && this._size(prev) + this._size(u) <= this.maxSize) {
+        prev.to = u.to;
+        prev.symbols = prev.symbols.concat(u.symbols.filter(s => !prev.symbols.includes(s)));
+      } else {
+        out.push({ from: u.from, to: u.to, symbols: [...u.symbols] });
+      }
+    }
+    return out;
+  }
+}
+
+const splitCode = (text, language, maxSize, measure) => new CodeSplitter(language, maxSize, measure).split(text);
+
+module.exports = { LANGUAGE_BY_EXTENSION, CodeSplitter, splitCode };
@@ -12,6 +12,9 @@ const ProviderType = {
 const ChunkingStrategy = {
   RECURSIVE: 'recursive',
   AGENTIC: 'agentic',
+  CODE: 'code',
+  SEMANTIC: 'semantic',
+  MARKDOWN: 'markdown',
 };
 
 const RetrievalStrategy = {
@@ -44,12 +47,27 @@ const ChunkingConfigSchema = z.object({
   chunkSize: z.number().default(1000),
   chunkOverlap: z.number().default(200),
   separators: z.array(z.string()).default(['\n\n', '\n', ' ', '']),
+  overlapMode: z.enum(['fixed', 'entropy']).default('fixed'),
+  sizeUnit: z.enum(['characters', 'tokens']).default('characters'),
+  semantic: z.object({
+    bufferSize: z.number().default(1), // sentences on each side included in a comparison window
+    breakpointPercentile: z.number().min(0).max(100).default(5), // split where adjacent similarity falls below this percentile
+  }).default({}),
+  markdown: z.object({
+    prependHeadingPath: z.boolean().default(false), // embed "A > B > C" breadcrumbs with each chunk
+  }).default({}),
   agenticLlm: LLMConfigSchema.optional(),
 }).refine((data) => {
   if (data.strategy === ChunkingStrategy.AGENTIC && !data.agenticLlm) return false;
   return true;
 }, { message: "agenticLlm required for AGENTIC strategy", path: ["agenticLlm"] });
 
+const TokenizerConfigSchema = z.object({
+  type: z.enum(['auto', 'tiktoken', 'heuristic']).default('auto'),
+  encoding: z.string().optional(), // e.g. 'cl100k_base', 'o200k_base'; derived from the model name when omitted
+  instance: z.any().optional(), // custom tokenizer exposing count(text) or encode(text)
+});
+
 const RerankingConfigSchema = z.object({
     enabled: z.boolean().default(false),
     provider: z.literal('llm').default('llm'),
@@ -63,12 +81,57 @@ const RetrievalConfigSchema = z.object({
     llmConfig: LLMConfigSchema.optional(),
     hybridAlpha: z.number().default(0.5),
     mmrLambda: z.number().default(0.5),
-    mmrFetchK: z.number().default(20)
+    mmrFetchK: z.number().default(20),
+    // Small-to-big: embed small child chunks, answer from the parent chunk they were cut from
+    parentDocument: z.object({
+      enabled: z.boolean().default(false),
+      childChunkSize: z.number().default(200),
+      childChunkOverlap: z.number().default(20),
+    }).optional(),
+    // Expands each hit with its neighbouring chunks from the same file
+    sentenceWindow: z.object({
+      enabled: z.boolean().default(false),
+      neighbors: z.number().default(1),
+    }).optional(),
+    // 'collapsed' searches every tree level at once; 'traversal' descends from the root summaries
+    summaryTree: z.object({
+      mode: z.enum(['collapsed', 'traversal']).default('collapsed'),
+    }).optional()
 }).refine((data) => {
     if ((data.strategy === RetrievalStrategy.HYDE || data.strategy === RetrievalStrategy.MULTI_QUERY) && !data.llmConfig) return false;
     return true;
 }, { message: "llmConfig required for advanced retrieval", path: ["llmConfig"] });
 
+const JsonIngestionConfigSchema = z.object({
+  recordsPath: z.string().optional(), // dotted path to the record array inside a .json document
+  idField: z.string().optional(), // record key used for stable chunk ids
+  contentFields: z.array(z.string()).optional(), // defaults to every field not listed in metadataFields
+  metadataFields: z.array(z.string()).default([]),
+  groupSize: z.number().default(1),
+});
+
+// Subtitles (.srt/.vtt) and timed transcript JSON are chunked by time window
+const TranscriptConfigSchema = z.object({
+  windowSeconds: z.number().default(60),
+  json: z.boolean().default(false), // treat every timed-segment .json as a transcript, not only *.transcript.json
+});
+
+// Limits applied when expanding .zip/.tar/.tar.gz files; anything beyond them is rejected as a likely decompression bomb
+const ArchiveConfigSchema = z.object({
+  maxEntries: z.number().default(10000),
+  maxEntryBytes: z.number().default(100 * 1024 * 1024),
+  maxTotalBytes: z.number().default(1024 * 1024 * 1024),
+  maxCompressionRatio: z.number().default(100),
+});
+
+// RAPTOR-style summary levels built over each file's chunks at ingestion time
+const SummaryTreeConfigSchema = z.object({
+  enabled: z.boolean().default(false),
+  clusterSize: z.number().default(6), // average children per summary node
+  maxLevels: z.number().default(3),
+  llmConfig: LLMConfigSchema.optional(), // defaults to the generation llm
+});
+
 const DatabaseConfigSchema = z.object({
   type: z.string(), // 'prisma', 'chroma', etc.
   tableName: z.string().optional(),
@@ -85,11 +148,46 @@ const RAGConfigSchema = z.object({
   llm: LLMConfigSchema,
   database: DatabaseConfigSchema,
   chunking: ChunkingConfigSchema.default({}),
+  tokenizer: TokenizerConfigSchema.optional(),
   retrieval: RetrievalConfigSchema.default({}),
   reranking: RerankingConfigSchema.default({}),
   sessionType: z.enum(['cli', 'api', 'chat']).default('api'),
-  metadata: z.object({ enrichment: z.boolean().default(false) }).optional(),
-  ingestion: z.object({ rateLimitEnabled: z.boolean().default(false), concurrencyLimit: z.number().default(5) }).optional(),
+  metadata: z.object({
+    enrichment: z.boolean().default(false),
+    multiVector: z.boolean().default(false), // embed enrichment questions/summary as extra vectors pointing at their chunk
+  }).optional(),
+  ingestion: z.object({
+    // skip: ignore files already stored; append: always add; replace: delete the file's chunks first;
+    // sync: re-embed only changed chunks, delete orphans and documents of deleted files
+    mode: z.enum(['skip', 'append', 'replace', 'sync']).default('skip'),
+    rateLimitEnabled: z.boolean().default(false),
+    concurrencyLimit: z.number().default(5),
+    fileConcurrency: z.number().default(4), // files ingested in parallel when ingesting a directory
+    include: z.array(z.string()).optional(), // globs relative to the ingested directory, e.g. ['**/*.md']
+    exclude: z.array(z.string()).optional(), // same syntax as .vectraignore
+    maxDepth: z.number().optional(), // directory levels below the root; unlimited when omitted
+    checkpoint: z.boolean().default(false), // record directory jobs so they can be resumed; `resume: true` turns it on too
+    checkpointPath: z.string().optional(), // defaults to .vectra/checkpoints/<dir hash>.jsonl under the cwd
+    json: JsonIngestionConfigSchema.optional(),
+    transcript: TranscriptConfigSchema.optional(),
+    archive: ArchiveConfigSchema.optional(),
+    git: z.object({
+      statePath: z.string().optional(), // JSON file recording the last commit ingestGitRepo ingested
+    }).optional(),
+    summaryTree: SummaryTreeConfigSchema.optional()
+  }).optional(),
+  embeddingCache: z.object({
+    enabled: z.boolean().default(false),
+    type: z.enum(['sqlite','redis','memory']).default('sqlite'),
+    sqlitePath: z.string().default('vectra-embeddings.db'),
+    ttlSeconds: z.number().optional(), // entries older than this are re-embedded
+    maxEntries: z.number().optional(), // least recently used entries are evicted beyond this (sqlite/memory)
+    redis: z.object({
+      clientInstance: z.any().optional(),
+      keyPrefix: z.string().default('vectra:emb:')
+    }).optional(),
+    instance: z.any().optional() // custom cache exposing getMany(keys), setMany(items), close()
+  }).optional(),
   telemetry: z.object({
     enabled: z.boolean().default(true),
   }).default({ enabled: true }),
@@ -131,6 +229,6 @@ const RAGConfigSchema = z.object({
 
 module.exports = {
   ProviderType, ChunkingStrategy, RetrievalStrategy,
-  EmbeddingConfigSchema, LLMConfigSchema, ChunkingConfigSchema,
-  RetrievalConfigSchema, RerankingConfigSchema, DatabaseConfigSchema, RAGConfigSchema
+  EmbeddingConfigSchema, LLMConfigSchema, ChunkingConfigSchema, TokenizerConfigSchema,
+  RetrievalConfigSchema, RerankingConfigSchema, JsonIngestionConfigSchema, TranscriptConfigSchema, ArchiveConfigSchema, SummaryTreeConfigSchema, DatabaseConfigSchema, RAGConfigSchema
 };
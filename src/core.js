@@ -1,8 +1,11 @@
 const fs = require('fs');
 const path = require('path');
-const { RAGConfigSchema, ProviderType, RetrievalStrategy } = require('./config');
+const { RAGConfigSchema, ArchiveConfigSchema, ProviderType, RetrievalStrategy } = require('./config');
 const crypto = require('crypto');
 const { DocumentProcessor } = require('./processor');
+const { createDefaultLoaderRegistry } = require('./loaders');
+const { formatTimestamp } = require('./loaders/transcript');
+const { createTokenizer } = require('./tokenizer');
 const { OpenAIBackend } = require('./backends/openai');
 const { GeminiBackend } = require('./backends/gemini');
 const { AnthropicBackend } = require('./backends/anthropic');
@@ -14,6 +17,15 @@ const { PostgresVectorStore } = require('./backends/postgres_store');
 const { QdrantVectorStore } = require('./backends/qdrant_store');
 const { MilvusVectorStore } = require('./backends/milvus_store');
 const { LLMReranker } = require('./reranker');
+const { SummaryTreeBuilder } = require('./summary_tree');
+const { compilePattern, parseIgnoreFile, isIgnored, matchesAny } = require('./glob');
+const { DirectoryWatcher } = require('./watcher');
+const { IngestionCheckpoint } = require('./checkpoint');
+const { createEmbeddingCache } = require('./embedding_cache');
+const { archiveExtension, isArchive, safeEntryPath, openArchive } = require('./archive');
+const { GitRepo } = require('./git');
+const { ratioExceeded } = require('./zip');
+const { implementsMethod } = require('./interfaces');
 const { InMemoryHistory, RedisHistory, PostgresHistory } = require('./memory');
 const { OllamaBackend } = require('./backends/ollama');
 const { v5: uuidv5 } = require('uuid');
@@ -29,6 +41,9 @@ const DEFAULT_FALLBACK_SUMMARY_LENGTH = 300;
 const DEFAULT_KEYWORD_COUNT = 10;
 const DEFAULT_MEMORY_MESSAGES = 20;
 const DEFAULT_CONCURRENCY_LIMIT = 5;
+const DEFAULT_FILE_CONCURRENCY = 4;
+const IGNORE_FILE = '.vectraignore';
+const DETECT_BYTES = 4096;
 const DEFAULT_RETRY_ATTEMPTS = 3;
 const DEFAULT_INITIAL_RETRY_DELAY = 500;
 const DEFAULT_MAX_RETRY_DELAY = 4000;
@@ -59,7 +74,16 @@ class VectraClient {
     const agenticLlm = (this.config.chunking && this.config.chunking.agenticLlm)
         ? this.createLLM(this.config.chunking.agenticLlm)
         : null;
-    this.processor = new DocumentProcessor(this.config.chunking, agenticLlm);
+    const loaders = createDefaultLoaderRegistry({
+      json: this.config.ingestion && this.config.ingestion.json,
+      transcript: this.config.ingestion && this.config.ingestion.transcript,
+      archive: this.config.ingestion && this.config.ingestion.archive
+    });
+    // Chunks are sized for the embedding model, prompts for the generation model
+    const chunkTokenizer = createTokenizer(this.config.tokenizer, this.config.embedding.modelName);
+    this.processor = new DocumentProcessor(this.config.chunking, agenticLlm, loaders, chunkTokenizer);
+    this.tokenizer = createTokenizer(this.config.tokenizer, this.config.llm.modelName);
+    this.loaders = this.processor.loaders;
 
     // Initialize embedding backend
     this.embedder = this.createLLM(this.config.embedding);
@@ -69,11 +93,22 @@ class VectraClient {
     this.retrievalLlm = (this.config.retrieval && this.config.retrieval.llmConfig)
         ? this.createLLM(this.config.retrieval.llmConfig)
         : this.llm;
+    const treeCfg = this.config.ingestion && this.config.ingestion.summaryTree;
+    this.summaryLlm = (treeCfg && treeCfg.llmConfig) ? this.createLLM(treeCfg.llmConfig) : this.llm;
 
     // Initialize vector store
     this.vectorStore = this.createVectorStore(this.config.database);
     this._embeddingCache = new Map();
+    this._checkpoints = new Set();
+    // Persistent cache shared across runs; the Map above stays the per-process layer in front of it
+    const ecCfg = this.config.embeddingCache;
+    this.embeddingStore = (ecCfg && ecCfg.enabled) ? createEmbeddingCache(ecCfg) : null;
+    // Vectors are only interchangeable for the same provider, model and output size
+    this._embeddingNamespace = [this.config.embedding.provider, this.config.embedding.modelName, this.config.embedding.dimensions || 'default'].join(':');
+    // Semantic chunking embeds sentence windows through the same cache as chunk embeddings
+    this.processor.embedder = { embedDocuments: (texts) => this._embedWithCache(texts) };
     this._metadataEnrichmentEnabled = !!(this.config.metadata && this.config.metadata.enrichment);
+    this._multiVectorEnabled = this._metadataEnrichmentEnabled && !!this.config.metadata.multiVector;
     const mm = this.config.memory?.maxMessages || DEFAULT_MEMORY_MESSAGES;
     if (this.config.memory && this.config.memory.enabled) {
       if (this.config.memory.type === 'in-memory') {
@@ -130,6 +165,11 @@ class VectraClient {
     throw new Error(`Unsupported vector store type: ${t}`);
   }
 
+  registerLoader(loaderOrExtensions, loadFn) {
+    this.loaders.register(loaderOrExtensions, loadFn);
+    return this;
+  }
+
   trigger(event, ...args) {
     const cbs = this.callbacks || [];
     cbs.forEach(cb => {
@@ -174,6 +214,12 @@ class VectraClient {
         while (true) {
           try {
             const out = await this.embedder.embedDocuments(batch);
+            // Persist each batch as it lands so a later failure does not cost the vectors already paid for
+            const offset = newEmbeds.length;
+            const items = out.map((vec, j) => [hashes[mapIndex[offset + j]], vec]);
+            items.forEach(([h, vec]) => this._embeddingCache.set(h, vec));
+            this._checkpoints.forEach(cp => cp.recordEmbeddings(items));
+            await this._writeEmbeddingStore(items);
             newEmbeds.push(...out);
             break;
           } catch (err) {
@@ -184,32 +230,234 @@ class VectraClient {
           }
         }
       }
-      newEmbeds.forEach((vec, j) => {
-        const h = hashes[mapIndex[j]];
-        this._embeddingCache.set(h, vec);
+    }
+  }
+
+  async _embedWithCache(texts) {
+    const keys = texts.map(t => crypto.createHash('sha256').update(t).digest('hex'));
+    if (this.embeddingStore) {
+      const missing = [...new Set(keys.filter(h => !this._embeddingCache.has(h)))];
+      const found = await this._readEmbeddingStore(missing);
+      found.forEach((vec, h) => this._embeddingCache.set(h, vec));
+    }
+    const toEmbed = [];
+    const mapIndex = [];
+    keys.forEach((h, i) => {
+      if (this._embeddingCache.has(h)) return;
+      toEmbed.push(texts[i]);
+      mapIndex.push(i);
+    });
+    await this._batchEmbedChunks(toEmbed, mapIndex, keys);
+    if (this.embeddingStore && keys.length) this._reportEmbeddingCache('ingest', keys.length - toEmbed.length, toEmbed.length);
+    return keys.map((h) => this._embeddingCache.get(h));
+  }
+
+  // Query vectors get their own key space: some providers embed queries differently from documents
+  async _embedQueryWithCache(text) {
+    if (!this.embeddingStore) return this.embedder.embedQuery(text);
+    const hash = `query:${crypto.createHash('sha256').update(text).digest('hex')}`;
+    const found = await this._readEmbeddingStore([hash]);
+    if (found.has(hash)) {
+      this._reportEmbeddingCache('query', 1, 0);
+      return found.get(hash);
+    }
+    const vec = await this.embedder.embedQuery(text);
+    await this._writeEmbeddingStore([[hash, vec]]);
+    this._reportEmbeddingCache('query', 0, 1);
+    return vec;
+  }
+
+  _embeddingStoreKey(hash) {
+    return `${this._embeddingNamespace}:${hash}`;
+  }
+
+  // Cache failures degrade to re-embedding rather than failing ingestion or queries
+  async _readEmbeddingStore(hashes) {
+    const found = new Map();
+    if (!this.embeddingStore || !hashes.length) return found;
+    try {
+      const hits = await this.embeddingStore.getMany(hashes.map(h => this._embeddingStoreKey(h)));
+      hashes.forEach(h => {
+        const vec = hits.get(this._embeddingStoreKey(h));
+        if (vec) found.set(h, vec);
       });
+    } catch (err) {
+      this.trigger('onError', err);
     }
+    return found;
   }
 
-  async _processDirectory(filePath) {
-    const files = await fs.promises.readdir(filePath);
-    const summary = { processed: 0, succeeded: 0, failed: 0, errors: [] };
-    for (const file of files) {
-      const full = path.join(filePath, file);
-      if (this._isTemporaryFile(full)) continue;
-      summary.processed++;
+  async _writeEmbeddingStore(items) {
+    if (!this.embeddingStore || !items.length) return;
+    try {
+      await this.embeddingStore.setMany(items.map(([h, vec]) => [this._embeddingStoreKey(h), vec]));
+    } catch (err) {
+      this.trigger('onError', err);
+    }
+  }
+
+  _reportEmbeddingCache(source, hits, misses) {
+    const hitRate = hits / ((hits + misses) || 1);
+    this.trigger('onEmbeddingCacheStats', { source, hits, misses, hitRate });
+    if (this.logger) this.logger.logMetric({ name: 'embedding_cache_hit_rate', value: hitRate, tags: { source, hits, misses } });
+  }
+
+  // Walks the tree honouring include/exclude globs, .vectraignore files and maxDepth
+  async _collectFiles(root) {
+    const cfg = this.config.ingestion || {};
+    const include = (cfg.include || []).map(p => compilePattern(p));
+    const exclude = (cfg.exclude || []).map(p => compilePattern(p));
+    const maxDepth = typeof cfg.maxDepth === 'number' ? cfg.maxDepth : Infinity;
+    const files = [];
+    let skipped = 0;
+    const walk = async (dir, rel, depth, rules) => {
+      let scoped = rules;
       try {
-        await this.ingestDocuments(full);
-        summary.succeeded++;
+        const ignoreText = await fs.promises.readFile(path.join(dir, IGNORE_FILE), 'utf-8');
+        scoped = rules.concat(parseIgnoreFile(ignoreText, rel));
+      } catch (_) {}
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+      entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+        const isDir = entry.isDirectory();
+        if ((!isDir && !entry.isFile()) || entry.name === IGNORE_FILE) continue;
+        if (this._isTemporaryFile(full) || matchesAny(exclude, relPath, isDir) || isIgnored(scoped, relPath, isDir)) {
+          if (!isDir) skipped++;
+          continue;
+        }
+        if (isDir) {
+          if (depth < maxDepth) await walk(full, relPath, depth + 1, scoped);
+          continue;
+        }
+        if (include.length && !matchesAny(include, relPath, false)) { skipped++; continue; }
+        files.push(full);
+      }
+    };
+    await walk(root, '', 0, []);
+    return { files, skipped };
+  }
+
+  // The rules _collectFiles applies, for a single file: temporary names, include/exclude, every
+  // .vectraignore between root and the file, and maxDepth
+  async _isCollectable(root, filePath) {
+    const cfg = this.config.ingestion || {};
+    const include = (cfg.include || []).map(p => compilePattern(p));
+    const exclude = (cfg.exclude || []).map(p => compilePattern(p));
+    const maxDepth = typeof cfg.maxDepth === 'number' ? cfg.maxDepth : Infinity;
+    const rel = path.relative(root, filePath).split(path.sep).join('/');
+    if (!rel || rel.startsWith('../') || path.isAbsolute(rel)) return false;
+    const parts = rel.split('/');
+    if (parts.length - 1 > maxDepth || parts[parts.length - 1] === IGNORE_FILE) return false;
+    let rules = [];
+    let dir = root;
+    for (let i = 0; i < parts.length; i++) {
+      try {
+        const ignoreText = await fs.promises.readFile(path.join(dir, IGNORE_FILE), 'utf-8');
+        rules = rules.concat(parseIgnoreFile(ignoreText, parts.slice(0, i).join('/')));
+      } catch (_) {}
+      const relPath = parts.slice(0, i + 1).join('/');
+      const isDir = i < parts.length - 1;
+      if (this._isTemporaryFile(parts[i]) || matchesAny(exclude, relPath, isDir) || isIgnored(rules, relPath, isDir)) return false;
+      dir = path.join(dir, parts[i]);
+    }
+    return !include.length || matchesAny(include, rel, false);
+  }
+
+  // Extension first; files with unknown extensions are sniffed so content-detecting loaders still apply
+  async _isSupportedFile(filePath) {
+    if (this.loaders.supports(filePath) || archiveExtension(filePath)) return true;
+    let handle;
+    try {
+      handle = await fs.promises.open(filePath, 'r');
+      const buffer = Buffer.alloc(DETECT_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, DETECT_BYTES, 0);
+      return !!this.loaders.resolve({ filePath, buffer: buffer.subarray(0, bytesRead) });
+    } catch (_) {
+      return false;
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  _checkpointPath(dirPath, options = {}) {
+    const cfg = this.config.ingestion || {};
+    if (options.checkpointPath || cfg.checkpointPath) return path.resolve(options.checkpointPath || cfg.checkpointPath);
+    const id = crypto.createHash('sha1').update(path.resolve(dirPath)).digest('hex').slice(0, 16);
+    return path.resolve(process.cwd(), '.vectra', 'checkpoints', `${id}.jsonl`);
+  }
+
+  async _processDirectory(filePath, options = {}) {
+    const { files, skipped } = await this._collectFiles(filePath);
+    const summary = { processed: 0, succeeded: 0, failed: 0, skipped, unsupported: 0, resumed: 0, errors: [] };
+    const cfg = this.config.ingestion || {};
+    const limit = Math.max(1, typeof cfg.fileConcurrency === 'number' ? cfg.fileConcurrency : DEFAULT_FILE_CONCURRENCY);
+    // Opt-in: the file lands under the cwd and holds raw vectors
+    const enabled = options.resume || (options.checkpoint ?? (cfg.checkpoint || !!cfg.checkpointPath || !!options.checkpointPath));
+    const checkpoint = enabled ? new IngestionCheckpoint(this._checkpointPath(filePath, options), this._embeddingNamespace) : null;
+    if (checkpoint) {
+      if (options.resume) await checkpoint.load();
+      else await checkpoint.reset();
+      checkpoint.embeddings.forEach((vec, h) => this._embeddingCache.set(h, vec));
+      this._checkpoints.add(checkpoint);
+    }
+    let next = 0;
+    const worker = async () => {
+      while (next < files.length) {
+        const full = files[next++];
+        let stats = null;
+        try { stats = await fs.promises.stat(full); } catch (_) {}
+        const done = checkpoint && options.resume ? checkpoint.fileEntry(full) : null;
+        if (done && done.status === 'done' && stats && done.size === stats.size && done.mtimeMs === stats.mtimeMs) {
+          summary.resumed++;
+          continue;
+        }
+        if (!(await this._isSupportedFile(full))) { summary.unsupported++; continue; }
+        summary.processed++;
+        try {
+          const result = await this.ingestDocuments(full, options);
+          if (result && result.status === 'skipped') summary.skipped++;
+          else summary.succeeded++;
+          if (checkpoint && stats) await checkpoint.markFile(full, { status: 'done', size: stats.size, mtimeMs: stats.mtimeMs });
+        } catch (err) {
+          summary.failed++;
+          summary.errors.push({ file: full, message: err?.message || String(err) });
+          if (checkpoint) await checkpoint.markFile(full, { status: 'failed', error: err?.message || String(err) });
+        }
+      }
+    };
+    try {
+      await Promise.all(Array.from({ length: Math.min(limit, files.length) }, worker));
+    } finally {
+      if (checkpoint) this._checkpoints.delete(checkpoint);
+    }
+    if ((options.mode || this._ingestionMode()) === 'sync') {
+      try {
+        summary.removed = await this._removeDeletedFiles(filePath);
       } catch (err) {
-        summary.failed++;
-        summary.errors.push({ file: full, message: err?.message || String(err) });
+        summary.errors.push({ file: filePath, message: err?.message || String(err) });
+      }
+    }
+    // Lost checkpoint writes (disk full, permissions) mean a resume would redo that work, so report them
+    if (checkpoint) {
+      try {
+        await checkpoint.flush();
+      } catch (err) {
+        summary.errors.push({ file: checkpoint.filePath, message: `Checkpoint write failed: ${err?.message || String(err)}` });
         this.trigger('onError', err);
       }
     }
+    // A clean run needs no checkpoint; otherwise keep it for `resume: true`
+    if (checkpoint) {
+      if (summary.failed === 0) await checkpoint.remove();
+      else summary.checkpoint = checkpoint.filePath;
+    }
     this.trigger('onIngestSummary', summary);
+    return summary;
   }
 
+
   async _validateFile(filePath, stats) {
     const absPath = path.resolve(filePath);
     const size = stats.size || 0;
@@ -227,15 +475,38 @@ class VectraClient {
     return { absolutePath: absPath, fileMD5, fileSHA256, fileSize: size, lastModified: mtime, timestamp: Date.now() };
   }
 
-  async _prepareDocuments(filePath, rawText, chunks, embeddings, hashes, validation) {
-    const metas = this.processor.computeChunkMetadata(filePath, rawText, chunks);
+  // Record-oriented loaders key chunks by record so re-ingesting an edited export upserts in place;
+  // sync mode keys the rest by path and content so unchanged chunks keep their ids across versions
+  _chunkIds(chunks, hashes, validation, structure = {}, mode = this._ingestionMode()) {
     const idNamespace = uuidv5('vectra-js', uuidv5.DNS);
+    const sync = mode === 'sync';
+    const seen = new Map();
+    return chunks.map((_, i) => {
+      const key = Array.isArray(structure.chunks) && structure.chunks[i] ? structure.chunks[i].key : undefined;
+      if (key !== undefined) return uuidv5(`${validation.absolutePath}:${key}`, idNamespace);
+      if (!sync) return uuidv5(`${validation.fileSHA256}:${i}`, idNamespace);
+      const n = seen.get(hashes[i]) || 0;
+      seen.set(hashes[i], n + 1);
+      return uuidv5(`${validation.absolutePath}:${hashes[i]}:${n}`, idNamespace);
+    });
+  }
+
+  _ingestionMode() {
+    return (this.config.ingestion && this.config.ingestion.mode) ? this.config.ingestion.mode : 'skip';
+  }
+
+  async _prepareDocuments(filePath, rawText, chunks, embeddings, hashes, validation, structure = {}, keep = null, mode = this._ingestionMode(), userMetadata = null) {
+    const metas = this.processor.computeChunkMetadata(filePath, rawText, chunks, structure);
+    const chunkIds = this._chunkIds(chunks, hashes, validation, structure, mode);
     let documents = chunks.map((content, i) => ({
-      id: uuidv5(`${validation.fileSHA256}:${i}`, idNamespace),
+      id: chunkIds[i],
       content,
       embedding: embeddings[i],
+      // Caller metadata overrides derived fields such as docTitle, but never the identity fields below
       metadata: { 
-        docId: uuidv5(`${validation.fileSHA256}:${i}`, idNamespace),
+        ...metas[i],
+        ...(userMetadata || {}),
+        docId: chunkIds[i],
         source: filePath,
         absolutePath: validation.absolutePath,
         fileMD5: validation.fileMD5,
@@ -243,17 +514,13 @@ class VectraClient {
         fileSize: validation.fileSize,
         lastModified: validation.lastModified,
         chunkIndex: i,
-        sha256: hashes[i],
-        fileType: metas[i]?.fileType,
-        docTitle: metas[i]?.docTitle,
-        pageFrom: metas[i]?.pageFrom,
-        pageTo: metas[i]?.pageTo,
-        section: metas[i]?.section
+        sha256: hashes[i]
       }
     }));
+    if (keep) documents = documents.filter((_, i) => keep.has(i));
 
     if (this._metadataEnrichmentEnabled) {
-      const extra = await this._enrichChunkMetadata(chunks);
+      const extra = await this._enrichChunkMetadata(documents.map(d => d.content));
       documents = documents.map((d, i) => ({
         ...d,
         metadata: {
@@ -267,21 +534,238 @@ class VectraClient {
     return documents;
   }
 
+  // Replaces each parent chunk with its children; the parent text is stored once, as its own record
+  _splitIntoChildren(chunks, structure, validation) {
+    const cfg = this.config.retrieval.parentDocument;
+    const idNamespace = uuidv5('vectra-js', uuidv5.DNS);
+    const childTexts = [];
+    const childStructs = [];
+    const parents = [];
+    chunks.forEach((parent, i) => {
+      const ps = Array.isArray(structure.chunks) && structure.chunks[i] ? structure.chunks[i] : {};
+      const parentId = uuidv5(`${validation.absolutePath}:parent:${crypto.createHash('sha256').update(parent).digest('hex')}`, idNamespace);
+      // Keep any embedding prefix (e.g. heading breadcrumbs) the parent strategy produced
+      const prefix = ps.embedText && ps.embedText.endsWith(parent) ? ps.embedText.slice(0, ps.embedText.length - parent.length) : '';
+      const split = this.processor.childSplit(parent, cfg.childChunkSize, cfg.childChunkOverlap);
+      const children = split.length ? split : [parent];
+      children.forEach((text, j) => {
+        childTexts.push(text);
+        childStructs.push({
+          text,
+          key: ps.key !== undefined ? `${ps.key}#${j}` : undefined,
+          embedText: prefix ? prefix + text : undefined,
+          metadata: { ...(ps.metadata || {}), parentId, parentIndex: i }
+        });
+      });
+      parents.push({ id: parentId, index: i, text: parent, childCount: children.length });
+    });
+    return { chunks: childTexts, structure: { ...structure, chunks: childStructs, parents } };
+  }
+
+  // One record per parent whose children are all being written. Its vector is the mean of its children's,
+  // so a direct hit on it lands near what they matched; it is never embedded itself. A sync pass that
+  // rewrites only some children leaves the stored parent alone rather than averaging a subset.
+  _buildParentDocuments(documents, parents) {
+    const byParent = new Map();
+    for (const d of documents) {
+      const m = d.metadata || {};
+      const pid = m.parentId;
+      if (!pid || m.vectorOf || m.level > 0 || !Array.isArray(d.embedding)) continue;
+      if (!byParent.has(pid)) byParent.set(pid, []);
+      byParent.get(pid).push(d);
+    }
+    const out = [];
+    for (const p of parents) {
+      const children = byParent.get(p.id);
+      if (!children || children.length < p.childCount) continue;
+      const dims = children[0].embedding.length;
+      const embedding = new Array(dims).fill(0);
+      children.forEach(c => c.embedding.forEach((v, k) => { embedding[k] += v / children.length; }));
+      const first = children[0].metadata;
+      const last = children[children.length - 1].metadata;
+      const { parentId, chunkIndex, sha256, summary, keywords, hypothetical_questions, ...shared } = first;
+      out.push({
+        id: p.id,
+        content: p.text,
+        embedding,
+        metadata: {
+          ...shared,
+          pageTo: last.pageTo !== undefined ? last.pageTo : shared.pageTo,
+          timeTo: last.timeTo !== undefined ? last.timeTo : shared.timeTo,
+          docId: p.id,
+          sha256: crypto.createHash('sha256').update(p.text).digest('hex'),
+          parentIndex: p.index,
+          parentRecord: true
+        }
+      });
+    }
+    return out;
+  }
+
+  // Clusters a file's chunks recursively and returns the LLM summary nodes to store alongside them
+  async _buildSummaryTree(documents, validation) {
+    const cfg = this.config.ingestion.summaryTree;
+    const idNamespace = uuidv5('vectra-js', uuidv5.DNS);
+    const builder = new SummaryTreeBuilder({
+      clusterSize: cfg.clusterSize,
+      maxLevels: cfg.maxLevels,
+      makeId: (level, j) => uuidv5(`${validation.fileSHA256}:summary:${level}:${j}`, idNamespace),
+      embed: (texts) => this._embedWithCache(texts),
+      summarize: async (text) => {
+        const prompt = `Write a concise summary of the following passages from one document. Keep names, numbers and key facts; do not add information.\nPassages:\n${text}`;
+        try {
+          const out = String(await this.summaryLlm.generate(prompt, 'You are a helpful assistant that writes faithful summaries.')).trim();
+          return out || text.slice(0, DEFAULT_SUMMARY_LENGTH);
+        } catch (_) {
+          return text.slice(0, DEFAULT_SUMMARY_LENGTH);
+        }
+      }
+    });
+    const summaries = await builder.build(documents);
+    const leaf = documents[0] ? documents[0].metadata : {};
+    return summaries.map(d => ({
+      ...d,
+      metadata: {
+        fileType: leaf.fileType,
+        docTitle: leaf.docTitle,
+        section: `Summary (level ${d.metadata.level})`,
+        ...d.metadata,
+        docId: d.id,
+        source: leaf.source,
+        absolutePath: validation.absolutePath,
+        fileMD5: validation.fileMD5,
+        fileSHA256: validation.fileSHA256,
+        fileSize: validation.fileSize,
+        lastModified: validation.lastModified,
+        sha256: crypto.createHash('sha256').update(d.content).digest('hex')
+      }
+    }));
+  }
+
+  // Extra vectors for each enriched chunk's hypothetical questions and summary; they resolve back to the chunk at query time
+  async _buildMultiVectorDocuments(documents) {
+    const idNamespace = uuidv5('vectra-js', uuidv5.DNS);
+    const extras = [];
+    for (const d of documents) {
+      const m = d.metadata || {};
+      const texts = [
+        ...(Array.isArray(m.hypothetical_questions) ? m.hypothetical_questions : []).map(q => ['question', q]),
+        ...(m.summary ? [['summary', m.summary]] : [])
+      ].filter(([, t]) => typeof t === 'string' && t.trim());
+      texts.forEach(([kind, text], j) => {
+        const id = uuidv5(`${d.id}:${kind}:${j}`, idNamespace);
+        extras.push({
+          id,
+          content: text.trim(),
+          metadata: {
+            fileType: m.fileType,
+            docTitle: m.docTitle,
+            section: m.section,
+            pageFrom: m.pageFrom,
+            pageTo: m.pageTo,
+            pageUnit: m.pageUnit,
+            timeFrom: m.timeFrom,
+            timeTo: m.timeTo,
+            docId: id,
+            source: m.source,
+            absolutePath: m.absolutePath,
+            fileMD5: m.fileMD5,
+            fileSHA256: m.fileSHA256,
+            fileSize: m.fileSize,
+            lastModified: m.lastModified,
+            vectorOf: d.id,
+            vectorKind: kind
+          }
+        });
+      });
+    }
+    const embeddings = await this._embedWithCache(extras.map(e => e.content));
+    return extras.map((e, i) => ({ ...e, embedding: embeddings[i] }));
+  }
+
+  async _listAllDocuments(filter = null) {
+    if (!implementsMethod(this.vectorStore, 'listDocuments') || !implementsMethod(this.vectorStore, 'deleteDocuments')) {
+      throw new Error('Vector store does not support sync ingestion (requires listDocuments and deleteDocuments)');
+    }
+    const out = [];
+    const pageSize = 1000;
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.vectorStore.listDocuments({ filter, limit: pageSize, offset });
+      out.push(...(page || []));
+      if (!page || page.length < pageSize) break;
+    }
+    return out;
+  }
+
+  // Compares the stored chunks of a file with the new ones: returns the chunk indices to (re)embed
+  // and the stored ids that no longer belong to the file
+  async _diffStoredChunks(absPath, ids, hashes, structure) {
+    const existing = await this._listAllDocuments({ absolutePath: absPath });
+    const idOf = (d) => d.id || (d.metadata && d.metadata.docId);
+    const byId = new Map(existing.map(d => [idOf(d), d]));
+    const changed = new Set();
+    ids.forEach((id, i) => {
+      const old = byId.get(id);
+      const parentId = Array.isArray(structure.chunks) && structure.chunks[i] ? structure.chunks[i].metadata?.parentId : undefined;
+      const m = old ? old.metadata || {} : null;
+      // Rewriting every child of a parent whose record is missing lets it be rebuilt from all of them
+      if (!m || m.sha256 !== hashes[i] || m.chunkIndex !== i || m.parentId !== parentId || (parentId && !byId.has(parentId))) changed.add(i);
+    });
+    const kept = new Set(ids.filter((_, i) => !changed.has(i)));
+    const current = new Set(ids);
+    const parentIds = new Set((structure.parents || []).map(p => p.id));
+    const staleLeaves = existing.filter(d => {
+      const m = d.metadata || {};
+      if (m.level > 0) return false;
+      if (m.parentRecord) return !parentIds.has(idOf(d));
+      if (m.vectorOf) return !kept.has(m.vectorOf);
+      return !current.has(idOf(d));
+    });
+    // Summary nodes describe the whole file, so any change to its chunks invalidates them
+    const dirty = changed.size > 0 || staleLeaves.length > 0;
+    const summaries = dirty ? existing.filter(d => d.metadata && d.metadata.level > 0) : [];
+    return { changed, stale: [...staleLeaves, ...summaries].map(idOf) };
+  }
+
+  // Deletes the documents of files under a directory that no longer exist on disk; returns the count,
+  // or the removed paths with `list`
+  async _removeDeletedFiles(root, { list = false } = {}) {
+    const prefix = path.resolve(root) + path.sep;
+    // Archive entries live as long as the archive holding them
+    const paths = new Map();
+    for (const d of await this._listAllDocuments()) {
+      const p = d.metadata && d.metadata.absolutePath;
+      if (typeof p === 'string' && p.startsWith(prefix)) paths.set(p, d.metadata.archivePath || p);
+    }
+    const removed = [];
+    for (const [p, onDisk] of paths) {
+      if (fs.existsSync(onDisk)) continue;
+      await this.vectorStore.deleteDocuments({ filter: { absolutePath: p } });
+      this.trigger('onIngestRemoved', p);
+      removed.push(p);
+    }
+    return list ? removed : removed.length;
+  }
+
   async _storeDocuments(documents, mode, absPath) {
     if (this.vectorStore && typeof this.vectorStore.ensureIndexes === 'function') {
       try { await this.vectorStore.ensureIndexes(); } catch (_) {}
     }
     
-    if (mode === 'replace' && this.vectorStore && typeof this.vectorStore.deleteDocuments === 'function') {
+    if (mode === 'replace' && implementsMethod(this.vectorStore, 'deleteDocuments')) {
       try {
         await this.vectorStore.deleteDocuments({ filter: { absolutePath: absPath } });
       } catch (_) {}
     }
     
+    // One batch must not carry an id twice: Postgres upserts reject it, other stores keep an arbitrary row
+    const last = new Map(documents.map((d, i) => [d.id, i]));
+    if (last.size < documents.length) documents = documents.filter((d, i) => d.id === undefined || last.get(d.id) === i);
+    const keyed = documents.some(d => d.metadata && d.metadata.recordKey !== undefined);
     let attempt = 0; let delay = DEFAULT_INITIAL_RETRY_DELAY;
     while (true) {
       try {
-        if (mode === 'replace' && this.vectorStore && typeof this.vectorStore.upsertDocuments === 'function') {
+        if ((mode === 'replace' || mode === 'sync' || keyed) && implementsMethod(this.vectorStore, 'upsertDocuments')) {
           await this.vectorStore.upsertDocuments(documents);
         } else {
           await this.vectorStore.addDocuments(documents);
@@ -296,109 +780,414 @@ class VectraClient {
     }
   }
 
-  async ingestDocuments(filePath) {
-    const traceId = uuidv4();
-    const rootSpanId = uuidv4();
-    const tStart = Date.now();
-    const provider = this.config.embedding.provider;
-    const modelName = this.config.embedding.modelName;
-    
+  async ingestDocuments(filePath, options = {}) {
+    const trace = { traceId: uuidv4(), rootSpanId: uuidv4(), tStart: Date.now() };
     try {
       const stats = await fs.promises.stat(filePath);
 
       telemetry.track('ingest_started', {
-        source_type: stats.isDirectory() ? 'directory' : 'file',
+        source_type: stats.isDirectory() ? 'directory' : (isArchive(filePath) ? 'archive' : 'file'),
         file_types: stats.isDirectory() ? [] : [path.extname(filePath).replace('.', '')],
         chunking_strategy: this.config.chunking.strategy,
         metadata_enrichment: this._metadataEnrichmentEnabled
       });
 
       if (stats.isDirectory()) {
-        await this._processDirectory(filePath);
-        return;
+        return await this._processDirectory(filePath, options);
+      }
+      if (isArchive(filePath)) {
+        return await this._processArchive(filePath, options);
       }
 
-      const t0 = Date.now();
       this.trigger('onIngestStart', filePath);
-      
       const validation = await this._validateFile(filePath, stats);
       this.trigger('onPreIngestionValidation', validation);
-      
-      const mode = (this.config.ingestion && this.config.ingestion.mode) ? this.config.ingestion.mode : 'skip';
-      let exists = false;
-      if (this.vectorStore && typeof this.vectorStore.fileExists === 'function') {
-        try { exists = await this.vectorStore.fileExists(validation.fileSHA256, validation.fileSize, validation.lastModified); } catch { exists = false; }
+      return await this._ingestLoaded(filePath, validation, () => this.processor.loadDocument(filePath), options, trace);
+    } catch (e) {
+      this._ingestionFailed(e, { filePath }, trace);
+      throw e;
+    }
+  }
+
+  // Expands a .zip/.tar/.tar.gz in memory and ingests each entry as `<archive>!/<entry>`.
+  // Entry paths are checked for traversal and sizes/ratios for decompression bombs before anything is read.
+  async _processArchive(filePath, options = {}) {
+    const limits = ArchiveConfigSchema.parse((this.config.ingestion && this.config.ingestion.archive) || {});
+    const cfg = this.config.ingestion || {};
+    const archivePath = path.resolve(filePath);
+    const summary = { archive: archivePath, processed: 0, succeeded: 0, failed: 0, skipped: 0, unsupported: 0, rejected: 0, errors: [] };
+    const entries = openArchive(await fs.promises.readFile(filePath), filePath, limits);
+    if (entries.length > limits.maxEntries) {
+      throw new Error(`Archive has ${entries.length} entries, more than ingestion.archive.maxEntries (${limits.maxEntries}): ${filePath}`);
+    }
+    const reject = (name, message) => {
+      summary.rejected++;
+      summary.errors.push({ file: `${archivePath}!/${name}`, message });
+    };
+    const seen = new Set();
+    let total = 0;
+    for (const entry of entries) {
+      const entryPath = safeEntryPath(entry.name);
+      if (!entryPath) { reject(entry.name, 'Unsafe entry path'); continue; }
+      if (entryPath.split('/').some(seg => seg === '__MACOSX') || this._isTemporaryFile(entryPath)) { summary.skipped++; continue; }
+      if ((cfg.include && cfg.include.length && !matchesAny(cfg.include, entryPath)) || (cfg.exclude && matchesAny(cfg.exclude, entryPath))) { summary.skipped++; continue; }
+      // Nested archives are not expanded
+      if (archiveExtension(entryPath)) { summary.unsupported++; continue; }
+      if (entry.size > limits.maxEntryBytes) { reject(entryPath, `Entry exceeds ingestion.archive.maxEntryBytes (${limits.maxEntryBytes})`); continue; }
+      if (entry.compressedSize && ratioExceeded(entry.size, entry.compressedSize, limits.maxCompressionRatio)) {
+        reject(entryPath, `Entry compression ratio exceeds ingestion.archive.maxCompressionRatio (${limits.maxCompressionRatio})`);
+        continue;
       }
-      if (mode === 'skip' && exists) {
-        this.trigger('onIngestSkipped', validation);
-        return;
+      if (total + entry.size > limits.maxTotalBytes) { reject(entryPath, `Archive exceeds ingestion.archive.maxTotalBytes (${limits.maxTotalBytes})`); break; }
+      let data;
+      try {
+        data = entry.read(Math.min(limits.maxEntryBytes, limits.maxTotalBytes - total));
+      } catch (err) {
+        reject(entryPath, err?.message || String(err));
+        continue;
+      }
+      total += data.length;
+      if (!this.loaders.resolve({ filePath: entryPath, buffer: data.subarray(0, DETECT_BYTES) })) { summary.unsupported++; continue; }
+      seen.add(entryPath);
+      summary.processed++;
+      try {
+        const result = await this._ingestArchiveEntry(archivePath, entryPath, data, options);
+        if (result && result.status === 'skipped') summary.skipped++;
+        else summary.succeeded++;
+      } catch (err) {
+        summary.failed++;
+        summary.errors.push({ file: `${archivePath}!/${entryPath}`, message: err?.message || String(err) });
       }
+    }
+    const mode = options.mode || this._ingestionMode();
+    if (mode === 'sync' || mode === 'replace') {
+      // Entries dropped from a new version of the archive; replace mode cleans up only when the store can list
+      try {
+        summary.removed = await this._removeArchiveEntries(archivePath, seen);
+      } catch (err) {
+        if (mode === 'sync') summary.errors.push({ file: archivePath, message: err?.message || String(err) });
+      }
+    }
+    this.trigger('onIngestSummary', summary);
+    return summary;
+  }
 
-      const rawText = await this.processor.loadDocument(filePath);
+  async _ingestArchiveEntry(archivePath, entryPath, data, options) {
+    const trace = { traceId: uuidv4(), rootSpanId: uuidv4(), tStart: Date.now() };
+    const source = `${archivePath}!/${entryPath}`;
+    try {
+      // Identified by content like other in-memory sources, under a path that stays stable across archive versions
+      const validation = { ...this._validateBuffer(data), absolutePath: source };
+      this.trigger('onIngestStart', source);
+      this.trigger('onPreIngestionValidation', validation);
+      const metadata = { ...(options.metadata || {}), archivePath, entryPath };
+      return await this._ingestLoaded(source, validation, () => this.processor.loadBuffer(data, { filename: entryPath }), { ...options, metadata }, trace);
+    } catch (e) {
+      this._ingestionFailed(e, { filePath: source }, trace);
+      throw e;
+    }
+  }
 
-      this.trigger('onChunkingStart', this.config.chunking.strategy);
-      const chunks = await this.processor.process(rawText);
+  async _removeArchiveEntries(archivePath, keep) {
+    const stale = new Set();
+    for (const d of await this._listAllDocuments({ archivePath })) {
+      const m = d.metadata || {};
+      if (m.entryPath && !keep.has(m.entryPath) && m.absolutePath) stale.add(m.absolutePath);
+    }
+    for (const p of stale) {
+      await this.vectorStore.deleteDocuments({ filter: { absolutePath: p } });
+      this.trigger('onIngestRemoved', p);
+    }
+    return stale.size;
+  }
 
-      this.trigger('onEmbeddingStart', chunks.length);
-      
-      const hashes = chunks.map(c => crypto.createHash('sha256').update(c).digest('hex'));
-      const toEmbed = [];
-      const mapIndex = [];
-      hashes.forEach((h, i) => {
-        if (this._embeddingCache.has(h)) return;
-        toEmbed.push(chunks[i]);
-        mapIndex.push(i);
+  // Same pipeline as a file on disk; ids derive from the text's hash
+  async ingestText(text, metadata = {}, options = {}) {
+    const trace = { traceId: uuidv4(), rootSpanId: uuidv4(), tStart: Date.now() };
+    try {
+      const body = String(text === undefined || text === null ? '' : text);
+      telemetry.track('ingest_started', {
+        source_type: 'text',
+        file_types: [],
+        chunking_strategy: this.config.chunking.strategy,
+        metadata_enrichment: this._metadataEnrichmentEnabled
       });
-      
-      await this._batchEmbedChunks(toEmbed, mapIndex, hashes);
-      
-      const embeddings = hashes.map((h) => this._embeddingCache.get(h));
-
-      const documents = await this._prepareDocuments(filePath, rawText, chunks, embeddings, hashes, validation);
-      
-      let existsServer = false;
-      if (this.vectorStore && typeof this.vectorStore.fileExists === 'function') {
-        try { existsServer = await this.vectorStore.fileExists(validation.fileSHA256, validation.fileSize, validation.lastModified); } catch { existsServer = false; }
+      const validation = this._validateBuffer(Buffer.from(body, 'utf-8'));
+      this.trigger('onIngestStart', validation.absolutePath);
+      this.trigger('onPreIngestionValidation', validation);
+      const load = async () => ({ text: body, pages: null, sections: null, chunks: null, metadata: {} });
+      return await this._ingestLoaded(validation.absolutePath, validation, load, { ...options, metadata }, trace);
+    } catch (e) {
+      this._ingestionFailed(e, { source: 'text' }, trace);
+      throw e;
+    }
+  }
+
+  // Accepts a Buffer, typed array or readable stream; the loader is picked from filename, mimeType or the content
+  async ingestBuffer(input, { filename = null, mimeType = null, metadata = {}, ...options } = {}) {
+    const trace = { traceId: uuidv4(), rootSpanId: uuidv4(), tStart: Date.now() };
+    try {
+      const buffer = await this._toBuffer(input);
+      telemetry.track('ingest_started', {
+        source_type: 'buffer',
+        file_types: filename ? [path.extname(filename).replace('.', '')] : [],
+        chunking_strategy: this.config.chunking.strategy,
+        metadata_enrichment: this._metadataEnrichmentEnabled
+      });
+      const validation = this._validateBuffer(buffer);
+      const source = filename || validation.absolutePath;
+      this.trigger('onIngestStart', source);
+      this.trigger('onPreIngestionValidation', validation);
+      return await this._ingestLoaded(source, validation, () => this.processor.loadBuffer(buffer, { filename, mimeType }), { ...options, metadata }, trace);
+    } catch (e) {
+      this._ingestionFailed(e, { filename, mimeType }, trace);
+      throw e;
+    }
+  }
+
+  async _toBuffer(input) {
+    if (Buffer.isBuffer(input)) return input;
+    if (input instanceof ArrayBuffer || ArrayBuffer.isView(input)) return Buffer.from(input.buffer || input, input.byteOffset || 0, input.byteLength);
+    if (input && typeof input[Symbol.asyncIterator] === 'function') {
+      const parts = [];
+      for await (const part of input) parts.push(Buffer.isBuffer(part) ? part : Buffer.from(part));
+      return Buffer.concat(parts);
+    }
+    throw new Error('ingestBuffer expects a Buffer, typed array or readable stream');
+  }
+
+  // In-memory sources have no path or mtime: they are identified by content, so identical
+  // content is skipped in `skip` mode like an unchanged file
+  _validateBuffer(buffer) {
+    const fileSHA256 = crypto.createHash('sha256').update(buffer).digest('hex');
+    return {
+      absolutePath: `memory://${fileSHA256}`,
+      fileMD5: crypto.createHash('md5').update(buffer).digest('hex'),
+      fileSHA256,
+      fileSize: buffer.length,
+      lastModified: 0,
+      timestamp: Date.now()
+    };
+  }
+
+  // Ingests the files tracked at `ref` from the object database (the working tree is never read). The ingested
+  // commit is recorded so the next run only re-ingests files changed since then and deletes removed ones.
+  async ingestGitRepo(repoPath, { ref = 'HEAD', include = null, exclude = null, ...options } = {}) {
+    const statePath = this._gitStatePath(options);
+    const root = await new GitRepo(path.resolve(repoPath)).toplevel();
+    const repo = new GitRepo(root);
+    const commit = await repo.resolveCommit(ref);
+    telemetry.track('ingest_started', {
+      source_type: 'git',
+      chunking_strategy: this.config.chunking.strategy,
+      metadata_enrichment: this._metadataEnrichmentEnabled
+    });
+    let state = null;
+    try { state = JSON.parse(await fs.promises.readFile(statePath, 'utf-8')); } catch (_) {}
+    // A rewritten history can drop the recorded commit; fall back to a full pass
+    const since = !options.full && state && state.repo === root && state.commit && (await repo.hasCommit(state.commit)) ? state.commit : null;
+    const summary = { repo: root, ref, commit, since, processed: 0, succeeded: 0, failed: 0, skipped: 0, unsupported: 0, removed: 0, errors: [] };
+    if (since === commit) {
+      this.trigger('onIngestSummary', summary);
+      return summary;
+    }
+    // Changed files must replace what an earlier commit left behind
+    const mode = options.mode || (this._ingestionMode() === 'sync' ? 'sync' : 'replace');
+    const tree = new Map((await repo.listFiles(commit)).map(f => [f.path, f]));
+    let targets = [...tree.keys()];
+    let removed = [];
+    if (since) {
+      const diff = await repo.changedFiles(since, commit);
+      targets = diff.changed.filter(p => tree.has(p));
+      removed = diff.removed;
+    } else if (mode === 'sync') {
+      // Without a recorded commit, anything stored for paths no longer in the tree is stale
+      try {
+        const stored = new Set((await this._listAllDocuments({ gitRepo: root })).map(d => d.metadata && d.metadata.path));
+        removed = [...stored].filter(p => p && !tree.has(p));
+      } catch (err) {
+        summary.errors.push({ file: root, message: err?.message || String(err) });
       }
-      if (mode === 'skip' && existsServer) {
-        this.trigger('onIngestSkipped', validation);
-        return;
+    }
+
+    const cfg = this.config.ingestion || {};
+    const inc = include || cfg.include || [];
+    const exc = exclude || cfg.exclude || [];
+    targets = targets.filter(p => {
+      if (p.split('/').some(seg => this._isTemporaryFile(seg)) || matchesAny(exc, p) || (inc.length && !matchesAny(inc, p))) {
+        summary.skipped++;
+        return false;
       }
-      
-      await this._storeDocuments(documents, mode, validation.absolutePath);
-
-      const durationMs = Date.now() - t0;
-      this.trigger('onIngestEnd', filePath, chunks.length, durationMs);
-      
-      const chunkCountBucket = chunks.length < 50 ? '1-50' : chunks.length < 200 ? '50-200' : '200+';
-      const durationBucket = durationMs < 1000 ? '0-1s' : durationMs < 5000 ? '1-5s' : '5s+';
-      
-      telemetry.track('ingest_completed', {
-        chunk_count_bucket: chunkCountBucket,
-        duration_ms_bucket: durationBucket,
-        cached_embeddings: false 
-      });
-      
+      return true;
+    });
+
+    const authors = await repo.lastCommits(commit, targets, since);
+    const blobs = repo.openBlobs();
+    try {
+      for (const p of targets) {
+        const absolutePath = path.join(root, p);
+        const trace = { traceId: uuidv4(), rootSpanId: uuidv4(), tStart: Date.now() };
+        try {
+          const data = await blobs.read(tree.get(p).oid);
+          if (archiveExtension(p) || !this.loaders.resolve({ filePath: p, buffer: data.subarray(0, DETECT_BYTES) })) { summary.unsupported++; continue; }
+          summary.processed++;
+          const last = authors.get(p) || { commit };
+          const validation = { ...this._validateBuffer(data), absolutePath, lastModified: last.commitDate ? Date.parse(last.commitDate) : 0 };
+          this.trigger('onIngestStart', absolutePath);
+          this.trigger('onPreIngestionValidation', validation);
+          const metadata = { ...(options.metadata || {}), gitRepo: root, path: p, commit: last.commit, author: last.author, commitDate: last.commitDate };
+          const result = await this._ingestLoaded(absolutePath, validation, () => this.processor.loadBuffer(data, { filename: p }), { ...options, mode, metadata }, trace);
+          if (result && result.status === 'skipped') summary.skipped++;
+          else summary.succeeded++;
+        } catch (err) {
+          this._ingestionFailed(err, { filePath: absolutePath }, trace);
+          summary.failed++;
+          summary.errors.push({ file: absolutePath, message: err?.message || String(err) });
+        }
+      }
+    } finally {
+      blobs.close();
+    }
+
+    for (const p of removed) {
+      try {
+        await this.deleteDocuments({ filter: { absolutePath: path.join(root, p) } });
+        summary.removed++;
+        this.trigger('onIngestRemoved', path.join(root, p));
+      } catch (err) {
+        summary.errors.push({ file: path.join(root, p), message: err?.message || String(err) });
+      }
+    }
+    // Failed files are retried by keeping the previous commit as the starting point
+    if (summary.failed === 0) {
+      await fs.promises.mkdir(path.dirname(statePath), { recursive: true });
+      await fs.promises.writeFile(statePath, JSON.stringify({ repo: root, ref, commit, updatedAt: Date.now() }));
+    }
+    this.trigger('onIngestSummary', summary);
+    return summary;
+  }
+
+  // Explicit rather than under the cwd: the state belongs to one index, and two indexes of the same repo must not share it
+  _gitStatePath(options = {}) {
+    const cfg = (this.config.ingestion && this.config.ingestion.git) || {};
+    const statePath = options.statePath || cfg.statePath;
+    if (!statePath) throw new Error('ingestGitRepo needs a statePath (option or ingestion.git.statePath) to record the last ingested commit');
+    return path.resolve(statePath);
+  }
+
+  _ingestionFailed(e, input, { traceId, rootSpanId, tStart }) {
+    telemetry.track('error_occurred', {
+      stage: 'ingestion',
+      error_type: e.name || 'unknown'
+    });
+    this.trigger('onError', e);
+    if (this.logger) {
       this.logger.logTrace({
         traceId,
         spanId: rootSpanId,
         name: 'ingestDocuments',
         startTime: tStart,
         endTime: Date.now(),
-        input: { filePath },
-        output: { chunks: chunks.length, durationMs },
-        attributes: { fileSize: validation.fileSize },
-        provider,
-        modelName
+        input,
+        error: { message: e.message },
+        status: 'error',
+        provider: this.config.embedding.provider,
+        modelName: this.config.embedding.modelName
       });
-      this.logger.logMetric({ name: 'ingest_latency', value: durationMs, tags: { type: 'single_file' } });
+    }
+  }
 
-    } catch (e) {
-      telemetry.track('error_occurred', {
-        stage: 'ingestion',
-        error_type: e.name || 'unknown'
-      });
-      this.trigger('onError', e);
+  // Chunk, embed, enrich and store one validated source; `load` returns the loader output
+  async _ingestLoaded(filePath, validation, load, options, { traceId, rootSpanId, tStart }) {
+    const t0 = Date.now();
+    const mode = options.mode || this._ingestionMode();
+    let exists = false;
+    if (this.vectorStore && typeof this.vectorStore.fileExists === 'function') {
+      try { exists = await this.vectorStore.fileExists(validation.fileSHA256, validation.fileSize, validation.lastModified); } catch { exists = false; }
+    }
+    if (mode === 'skip' && exists) {
+      this.trigger('onIngestSkipped', validation);
+      return { file: filePath, status: 'skipped' };
+    }
+
+    const loaded = await load();
+    const rawText = loaded.text;
+    // Static metadata first, then per-document fields; the function also sees what the loader found (e.g. front matter)
+    let userMetadata = options.metadata && typeof options.metadata === 'object' ? { ...options.metadata } : null;
+    if (typeof options.metadataFn === 'function') {
+      const extra = await options.metadataFn(filePath, { validation, metadata: loaded.metadata || {} });
+      if (extra && typeof extra === 'object') userMetadata = { ...(userMetadata || {}), ...extra };
+    }
+
+    this.trigger('onChunkingStart', this.config.chunking.strategy);
+    let chunks = await this.processor.processDocument(loaded);
+    let structure = loaded;
+    if (this.config.retrieval.parentDocument && this.config.retrieval.parentDocument.enabled) {
+      ({ chunks, structure } = this._splitIntoChildren(chunks, loaded, validation));
+    }
+
+    const hashes = chunks.map(c => crypto.createHash('sha256').update(c).digest('hex'));
+    const summaryTree = !!(this.config.ingestion && this.config.ingestion.summaryTree && this.config.ingestion.summaryTree.enabled);
+    let changed = null;
+    let stale = [];
+    if (mode === 'sync') {
+      ({ changed, stale } = await this._diffStoredChunks(validation.absolutePath, this._chunkIds(chunks, hashes, validation, structure, mode), hashes, structure));
+      if (changed.size === 0 && stale.length === 0) {
+        this.trigger('onIngestSkipped', validation);
+        return { file: filePath, status: 'skipped', reason: 'unchanged' };
+      }
+      // The summary tree is rebuilt from every chunk of the file
+      if (summaryTree) changed = null;
+    }
+
+    this.trigger('onEmbeddingStart', changed ? changed.size : chunks.length);
+    
+    // Strategies may embed a different text than they store (e.g. heading breadcrumbs)
+    const embedInputs = chunks.map((c, i) => (structure.chunks && structure.chunks[i] && structure.chunks[i].embedText) || c);
+    const embedIdx = changed ? [...changed] : chunks.map((_, i) => i);
+    const embedded = await this._embedWithCache(embedIdx.map(i => embedInputs[i]));
+    const embeddings = [];
+    embedIdx.forEach((i, j) => { embeddings[i] = embedded[j]; });
+
+    const documents = await this._prepareDocuments(filePath, rawText, chunks, embeddings, hashes, validation, structure, changed, mode, userMetadata);
+    const derived = [];
+    if (summaryTree) {
+      derived.push(...await this._buildSummaryTree(documents, validation));
+    }
+    if (this._multiVectorEnabled) {
+      derived.push(...await this._buildMultiVectorDocuments(documents));
+    }
+    // Summary nodes and extra vectors must match the same filters as the chunks they stand for
+    documents.push(...(userMetadata ? derived.map(d => ({ ...d, metadata: { ...userMetadata, ...d.metadata } })) : derived));
+    if (Array.isArray(structure.parents)) documents.push(...this._buildParentDocuments(documents, structure.parents));
+    
+    let existsServer = false;
+    if (this.vectorStore && typeof this.vectorStore.fileExists === 'function') {
+      try { existsServer = await this.vectorStore.fileExists(validation.fileSHA256, validation.fileSize, validation.lastModified); } catch { existsServer = false; }
+    }
+    if (mode === 'skip' && existsServer) {
+      this.trigger('onIngestSkipped', validation);
+      return { file: filePath, status: 'skipped' };
+    }
+    
+    await this._storeDocuments(documents, mode, validation.absolutePath);
+    const written = new Set(documents.map(d => d.id));
+    stale = stale.filter(id => id && !written.has(id));
+    if (stale.length) await this.vectorStore.deleteDocuments({ ids: stale });
+
+    const durationMs = Date.now() - t0;
+    this.trigger('onIngestEnd', filePath, chunks.length, durationMs);
+    
+    const chunkCountBucket = chunks.length < 50 ? '1-50' : chunks.length < 200 ? '50-200' : '200+';
+    const durationBucket = durationMs < 1000 ? '0-1s' : durationMs < 5000 ? '1-5s' : '5s+';
+    
+    telemetry.track('ingest_completed', {
+      chunk_count_bucket: chunkCountBucket,
+      duration_ms_bucket: durationBucket,
+      cached_embeddings: false 
+    });
+    
+    if (this.logger) {
       this.logger.logTrace({
         traceId,
         spanId: rootSpanId,
@@ -406,24 +1195,41 @@ class VectraClient {
         startTime: tStart,
         endTime: Date.now(),
         input: { filePath },
-        error: { message: e.message },
-        status: 'error',
-        provider,
-        modelName
+        output: { chunks: chunks.length, durationMs },
+        attributes: { fileSize: validation.fileSize },
+        provider: this.config.embedding.provider,
+        modelName: this.config.embedding.modelName
       });
-      throw e;
     }
+    if (this.logger) this.logger.logMetric({ name: 'ingest_latency', value: durationMs, tags: { type: 'single_file' } });
+    return mode === 'sync'
+      ? { file: filePath, status: 'ingested', chunks: chunks.length, changed: documents.filter(d => !d.metadata.level && !d.metadata.vectorOf && !d.metadata.parentRecord).length, removed: stale.length }
+      : { file: filePath, status: 'ingested', chunks: chunks.length };
+  }
+
+  // Releases what the client opened itself, such as the persistent embedding cache's database handle
+  async close() {
+    const store = this.embeddingStore;
+    this.embeddingStore = null;
+    if (store && typeof store.close === 'function') await store.close();
+  }
+
+  // Ingests the directory, then keeps it indexed until close() is called on the returned watcher
+  async watch(dirPath, options = {}) {
+    const stats = await fs.promises.stat(dirPath);
+    if (!stats.isDirectory()) throw new Error(`watch expects a directory: ${dirPath}`);
+    return new DirectoryWatcher(this, dirPath, options).start();
   }
 
   async listDocuments({ filter = null, limit = 100, offset = 0 } = {}) {
-    if (!this.vectorStore || typeof this.vectorStore.listDocuments !== 'function') {
+    if (!implementsMethod(this.vectorStore, 'listDocuments')) {
       throw new Error('Vector store does not support listDocuments');
     }
     return this.vectorStore.listDocuments({ filter, limit, offset });
   }
 
   async deleteDocuments({ ids = null, filter = null } = {}) {
-    if (!this.vectorStore || typeof this.vectorStore.deleteDocuments !== 'function') {
+    if (!implementsMethod(this.vectorStore, 'deleteDocuments')) {
       throw new Error('Vector store does not support deleteDocuments');
     }
     return this.vectorStore.deleteDocuments({ ids, filter });
@@ -431,6 +1237,9 @@ class VectraClient {
 
   async updateDocuments(documents) {
     if (!Array.isArray(documents) || documents.length === 0) return;
+    if (!implementsMethod(this.vectorStore, 'upsertDocuments')) {
+      throw new Error('Vector store does not support updateDocuments');
+    }
     const texts = documents.map(d => d.content);
     const embeddings = await this.embedder.embedDocuments(texts);
     const docs = documents.map((d, i) => ({
@@ -439,9 +1248,6 @@ class VectraClient {
       embedding: embeddings[i],
       metadata: d.metadata || {}
     }));
-    if (!this.vectorStore || typeof this.vectorStore.upsertDocuments !== 'function') {
-      throw new Error('Vector store does not support updateDocuments');
-    }
     return this.vectorStore.upsertDocuments(docs);
   }
 
@@ -464,8 +1270,20 @@ class VectraClient {
   }
 
   tokenEstimate(text) {
-    const len = text ? text.length : 0;
-    return Math.ceil(len / 4);
+    return this.tokenizer.count(text || '');
+  }
+
+  // Citation for where a chunk sits: "pages 3-4" for PDFs, "slide 12" or "chapters 2-3" when the loader set
+  // a pageUnit, "at 12:34-13:30" for subtitles and transcripts
+  _locationLabel(metadata) {
+    const m = metadata || {};
+    if (typeof m.timeFrom === 'number') {
+      const to = typeof m.timeTo === 'number' && Math.floor(m.timeTo) > Math.floor(m.timeFrom) ? `-${formatTimestamp(m.timeTo)}` : '';
+      return `at ${formatTimestamp(m.timeFrom)}${to}`;
+    }
+    if (!m.pageFrom || !m.pageTo) return '';
+    if (!m.pageUnit) return `pages ${m.pageFrom}-${m.pageTo}`;
+    return m.pageFrom === m.pageTo ? `${m.pageUnit} ${m.pageFrom}` : `${m.pageUnit}s ${m.pageFrom}-${m.pageTo}`;
   }
 
   buildContextParts(docs, query) {
@@ -476,7 +1294,7 @@ class VectraClient {
     for (const d of docs) {
       const t = d.metadata?.docTitle || '';
       const sec = d.metadata?.section || '';
-      const pages = (d.metadata?.pageFrom && d.metadata?.pageTo) ? `pages ${d.metadata.pageFrom}-${d.metadata.pageTo}` : '';
+      const pages = this._locationLabel(d.metadata);
       const sum = d.metadata?.summary ? d.metadata.summary : d.content.slice(0, DEFAULT_SUMMARY_LENGTH);
       const chosen = (this.tokenEstimate(sum) <= preferSumm) ? sum : d.content.slice(0, DEFAULT_CHUNK_LENGTH);
       const part = `${t} ${sec} ${pages}\n${chosen}`;
@@ -497,7 +1315,7 @@ class VectraClient {
         const l = s.toLowerCase();
         const score = terms.reduce((acc,t)=> acc + (l.includes(t) ? 1 : 0), 0);
         if (score > 0) {
-          const pages = (d.metadata?.pageFrom && d.metadata?.pageTo) ? `pages ${d.metadata.pageFrom}-${d.metadata.pageTo}` : '';
+          const pages = this._locationLabel(d.metadata);
           out.push(`${d.metadata?.docTitle || ''} ${d.metadata?.section || ''} ${pages}\n${s}`);
           if (out.length >= maxSnippets) return out;
         }
@@ -521,6 +1339,158 @@ class VectraClient {
         .map(content => contentMap[content]);
   }
 
+  // Maps question/summary vector hits back to the chunk they were generated from, keeping each chunk once at its best rank
+  async resolveMultiVectorHits(docs) {
+    const canFetch = implementsMethod(this.vectorStore, 'listDocuments');
+    const seen = new Set();
+    const out = [];
+    for (const d of docs) {
+      const target = d.metadata?.vectorOf;
+      const key = target || d.metadata?.docId || d.content;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!target) { out.push(d); continue; }
+      let original = null;
+      if (canFetch) {
+        try {
+          const rows = await this.vectorStore.listDocuments({ filter: { docId: target }, limit: 1 });
+          original = Array.isArray(rows) && rows[0] ? rows[0] : null;
+        } catch (_) { original = null; }
+      }
+      if (!original) { out.push(d); continue; }
+      out.push({
+        ...original,
+        score: d.score,
+        metadata: { ...(original.metadata || {}), matchedVia: d.metadata.vectorKind, matchedText: d.content }
+      });
+    }
+    return out;
+  }
+
+  // Swaps matched child chunks for their parent record, keeping the best-ranked child per parent.
+  // Indexes written before parents became records still carry the text as `parentContent`.
+  async expandToParents(docs) {
+    const canFetch = implementsMethod(this.vectorStore, 'listDocuments');
+    const seen = new Set();
+    const out = [];
+    for (const d of docs) {
+      const { parentContent, ...metadata } = d.metadata || {};
+      if (metadata.parentRecord) {
+        if (!seen.has(metadata.docId)) { seen.add(metadata.docId); out.push(d); }
+        continue;
+      }
+      if (!metadata.parentId && typeof parentContent !== 'string') { out.push(d); continue; }
+      const key = metadata.parentId || `${metadata.absolutePath}:${metadata.parentIndex}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      let content = typeof parentContent === 'string' ? parentContent : null;
+      let parentMeta = {};
+      if (content === null && canFetch) {
+        try {
+          const rows = await this.vectorStore.listDocuments({ filter: { docId: metadata.parentId }, limit: 1 });
+          if (Array.isArray(rows) && rows[0]) { content = rows[0].content; parentMeta = rows[0].metadata || {}; }
+        } catch (_) { content = null; }
+      }
+      if (content === null) { out.push(d); continue; }
+      out.push({ ...d, content, metadata: { ...metadata, ...parentMeta, matchedChild: d.content } });
+    }
+    return out;
+  }
+
+  // Top-down search over the summary tree: best roots first, then the best children of every selected summary
+  async treeTraversalSearch(queryVector, k, filter = null) {
+    if (filter && typeof filter !== 'object') return this.vectorStore.similaritySearch(queryVector, k, filter);
+    // Multi-key scopes; stores that need explicit conjunctions (Chroma's $and) normalize them
+    const scoped = (extra) => ({ ...(filter || {}), ...extra });
+    const byScore = (a, b) => (Number(b.score) || 0) - (Number(a.score) || 0);
+    const selected = [];
+    let frontier = await this.vectorStore.similaritySearch(queryVector, k, scoped({ treeRoot: true }));
+    while (frontier.length) {
+      selected.push(...frontier);
+      const parents = frontier.filter(d => (d.metadata?.level || 0) > 0 && d.metadata?.docId);
+      if (!parents.length) break;
+      const children = await Promise.all(parents.map(p => this.vectorStore.similaritySearch(queryVector, k, scoped({ treeParentId: p.metadata.docId }))));
+      frontier = children.flat().sort(byScore).slice(0, k);
+    }
+    return selected.sort(byScore);
+  }
+
+  // Replaces hits with passages stitched from their neighbouring chunks; windows that overlap or touch are merged
+  async expandWithNeighbors(docs, neighbors = 1) {
+    const n = Math.max(0, Math.floor(Number(neighbors) || 0));
+    if (!n || !implementsMethod(this.vectorStore, 'listDocuments')) return docs;
+    const windows = [];
+    const out = [];
+    docs.forEach((d, rank) => {
+      const file = d.metadata?.absolutePath;
+      const idx = d.metadata?.chunkIndex;
+      if (!file || typeof idx !== 'number') { out.push({ rank, doc: d }); return; }
+      windows.push({ rank, doc: d, file, from: Math.max(0, idx - n), to: idx + n });
+    });
+
+    const merged = [];
+    windows.sort((a, b) => (a.file === b.file ? a.from - b.from : a.file < b.file ? -1 : 1)).forEach(w => {
+      const prev = merged[merged.length - 1];
+      if (prev && prev.file === w.file && w.from <= prev.to + 1) {
+        prev.to = Math.max(prev.to, w.to);
+        if (w.rank < prev.rank) { prev.rank = w.rank; prev.doc = w.doc; }
+      } else {
+        merged.push({ ...w });
+      }
+    });
+
+    const cache = new Map();
+    const fetchChunk = async (file, chunkIndex) => {
+      const key = `${file}:${chunkIndex}`;
+      if (!cache.has(key)) {
+        cache.set(key, this.vectorStore.listDocuments({ filter: { absolutePath: file, chunkIndex }, limit: 1 })
+          .then(rows => (Array.isArray(rows) && rows[0]) || null));
+      }
+      return cache.get(key);
+    };
+
+    for (const w of merged) {
+      const hitIndex = w.doc.metadata.chunkIndex;
+      const indices = [];
+      for (let i = w.from; i <= w.to; i++) indices.push(i);
+      const rows = await Promise.all(indices.map(i => (i === hitIndex ? w.doc : fetchChunk(w.file, i))));
+      const found = rows.map((r, j) => (r ? { index: indices[j], content: r.content, metadata: r.metadata || {} } : null)).filter(Boolean);
+      const content = found.reduce((acc, r) => (acc ? this._stitchOverlap(acc, r.content) : r.content), '');
+      const pageFroms = found.map(r => r.metadata.pageFrom).filter(x => typeof x === 'number');
+      const pageTos = found.map(r => r.metadata.pageTo).filter(x => typeof x === 'number');
+      const timeFroms = found.map(r => r.metadata.timeFrom).filter(x => typeof x === 'number');
+      const timeTos = found.map(r => r.metadata.timeTo).filter(x => typeof x === 'number');
+      out.push({
+        rank: w.rank,
+        doc: {
+          ...w.doc,
+          content,
+          metadata: {
+            ...w.doc.metadata,
+            chunkFrom: found[0].index,
+            chunkTo: found[found.length - 1].index,
+            pageFrom: pageFroms.length ? Math.min(...pageFroms) : w.doc.metadata.pageFrom,
+            pageTo: pageTos.length ? Math.max(...pageTos) : w.doc.metadata.pageTo,
+            timeFrom: timeFroms.length ? Math.min(...timeFroms) : w.doc.metadata.timeFrom,
+            timeTo: timeTos.length ? Math.max(...timeTos) : w.doc.metadata.timeTo
+          }
+        }
+      });
+    }
+    return out.sort((a, b) => a.rank - b.rank).map(x => x.doc);
+  }
+
+  // Joins consecutive chunks without repeating the overlap the splitter carried between them
+  _stitchOverlap(a, b) {
+    const max = Math.min(a.length, b.length);
+    for (let k = max; k > 0; k--) {
+      // Only accept overlaps on word boundaries so "the" + "end" never collapses into "thend"
+      const bounded = (k === b.length || /\s/.test(b[k])) && (k === a.length || /\s/.test(a[a.length - k - 1]));
+      if (bounded && a.endsWith(b.slice(0, k))) return a + b.slice(k);
+    }
+    return `${a}\n${b}`;
+  }
+
   mmrSelect(candidates, k, mmrLambda) {
     if (!Array.isArray(candidates) || candidates.length === 0) return [];
     const kInt = Math.max(1, Number(k) || 1);
@@ -598,11 +1568,11 @@ class VectraClient {
         const k = (this.config.reranking && this.config.reranking.enabled) 
             ? this.config.reranking.windowSize : 5;
         
-        const queryVector = await this.embedder.embedQuery(query);
+        const queryVector = await this._embedQueryWithCache(query);
 
         if (strategy === RetrievalStrategy.HYDE) {
             const hypotheticalDoc = await this.generateHydeQuery(query);
-            const hydeVector = await this.embedder.embedQuery(hypotheticalDoc);
+            const hydeVector = await this._embedQueryWithCache(hypotheticalDoc);
             docs = await this.vectorStore.similaritySearch(hydeVector, k, filter);
         } else if (strategy === RetrievalStrategy.MULTI_QUERY) {
             const queries = await this.generateMultiQueries(query);
@@ -612,7 +1582,7 @@ class VectraClient {
             }
             queries.push(query);
             const results = await Promise.all(queries.map(async (q) => {
-                const vec = await this.embedder.embedQuery(q);
+                const vec = await this._embedQueryWithCache(q);
                 return await this.vectorStore.similaritySearch(vec, k, filter);
             }));
             docs = this.reciprocalRankFusion(results, 1);
@@ -623,16 +1593,28 @@ class VectraClient {
             const lam = Number(this.config.retrieval?.mmrLambda) || 0.5;
             const candidates = await this.vectorStore.similaritySearch(queryVector, fetchK, filter);
             docs = this.mmrSelect(candidates, k, lam);
+        } else if (this.config.retrieval.summaryTree && this.config.retrieval.summaryTree.mode === 'traversal') {
+            docs = await this.treeTraversalSearch(queryVector, k, filter);
         } else {
             docs = await this.vectorStore.similaritySearch(queryVector, k, filter);
         }
         
+        if (docs.some(d => d.metadata && d.metadata.vectorOf)) {
+            docs = await this.resolveMultiVectorHits(docs);
+        }
+
         if (this.config.reranking && this.config.reranking.enabled && this.reranker) {
             this.trigger('onRerankingStart', docs.length);
             docs = await this.reranker.rerank(query, docs);
             this.trigger('onRerankingEnd', docs.length);
         }
 
+        if (this.config.retrieval.parentDocument && this.config.retrieval.parentDocument.enabled) {
+            docs = await this.expandToParents(docs);
+        } else if (this.config.retrieval.sentenceWindow && this.config.retrieval.sentenceWindow.enabled) {
+            docs = await this.expandWithNeighbors(docs, this.config.retrieval.sentenceWindow.neighbors);
+        }
+
         const retrievalMs = Date.now() - tRetrieval;
         this.trigger('onRetrievalEnd', docs.length, retrievalMs);
         
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite limits bound parameters per statement (999 on older builds)
+const SQLITE_BATCH = 500;
+
+const toBlob = (vec) => Buffer.from(new Float32Array(vec).buffer);
+const fromBlob = (buf) => Array.from(new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4));
+
+// All caches share one shape: getMany(keys) -> Map(key -> vector), setMany([[key, vector]]), close()
+class InMemoryEmbeddingCache {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlSeconds ? options.ttlSeconds * 1000 : null;
+    this.maxEntries = options.maxEntries || null;
+    this.entries = new Map();
+  }
+
+  async getMany(keys) {
+    const found = new Map();
+    const now = Date.now();
+    for (const key of keys) {
+      const e = this.entries.get(key);
+      if (!e) continue;
+      if (this.ttlMs && now - e.createdAt > this.ttlMs) { this.entries.delete(key); continue; }
+      // Re-insert so Map order doubles as least-recently-used order
+      this.entries.delete(key);
+      this.entries.set(key, e);
+      found.set(key, e.vector);
+    }
+    return found;
+  }
+
+  async setMany(items) {
+    const now = Date.now();
+    for (const [key, vector] of items) {
+      this.entries.delete(key);
+      this.entries.set(key, { vector, createdAt: now });
+    }
+    if (this.maxEntries) {
+      for (const key of this.entries.keys()) {
+        if (this.entries.size <= this.maxEntries) break;
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  async close() {}
+}
+
+class SQLiteEmbeddingCache {
+  constructor(options = {}) {
+    const rawPath = options.sqlitePath || 'vectra-embeddings.db';
+    const dbPath = path.isAbsolute(rawPath) ? rawPath : path.resolve(process.cwd(), rawPath);
+    const dbDir = path.dirname(dbPath);
+    if (!fs.existsSync(dbDir)) fs.mkdirSync(dbDir, { recursive: true });
+    this.ttlMs = options.ttlSeconds ? options.ttlSeconds * 1000 : null;
+    this.maxEntries = options.maxEntries || null;
+    this._writes = Promise.resolve();
+    const sqlite3 = require('sqlite3').verbose();
+    this.db = new sqlite3.Database(dbPath);
+    this.ready = this._run(`
+      CREATE TABLE IF NOT EXISTS embedding_cache (
+        key TEXT PRIMARY KEY,
+        vector BLOB,
+        created_at INTEGER,
+        accessed_at INTEGER
+      )
+    `).then(() => this._run('CREATE INDEX IF NOT EXISTS embedding_cache_accessed ON embedding_cache (accessed_at)'));
+  }
+
+  _run(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.run(sql, params, (err) => err ? reject(err) : resolve()));
+  }
+
+  _all(sql, params = []) {
+    return new Promise((resolve, reject) => this.db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+  }
+
+  async getMany(keys) {
+    await this.ready;
+    const found = new Map();
+    const now = Date.now();
+    for (let i = 0; i < keys.length; i += SQLITE_BATCH) {
+      const batch = keys.slice(i, i + SQLITE_BATCH);
+      const marks = batch.map(() => '?').join(',');
+      const rows = await this._all(`SELECT key, vector, created_at FROM embedding_cache WHERE key IN (${marks})`, batch);
+      const hits = rows.filter(r => !this.ttlMs || now - r.created_at <= this.ttlMs);
+      hits.forEach(r => found.set(r.key, fromBlob(r.vector)));
+    }
+    // Recency only feeds eviction, so reads do not wait for it
+    if (found.size) this._enqueue(() => this._touch([...found.keys()], now)).catch(() => {});
+    return found;
+  }
+
+  // Parallel file workers share one connection, so transactions are queued rather than nested
+  setMany(items) {
+    if (!items.length) return Promise.resolve();
+    return this._enqueue(() => this._write(items));
+  }
+
+  // Every statement that writes goes through here so none runs inside another caller's transaction
+  _enqueue(fn) {
+    const write = this._writes.then(fn);
+    this._writes = write.catch(() => {});
+    return write;
+  }
+
+  async _touch(keys, now) {
+    for (let i = 0; i < keys.length; i += SQLITE_BATCH) {
+      const batch = keys.slice(i, i + SQLITE_BATCH);
+      await this._run(`UPDATE embedding_cache SET accessed_at = ? WHERE key IN (${batch.map(() => '?').join(',')})`, [now, ...batch]);
+    }
+  }
+
+  async _write(items) {
+    await this.ready;
+    const now = Date.now();
+    await this._run('BEGIN');
+    try {
+      for (const [key, vector] of items) {
+        await this._run('INSERT OR REPLACE INTO embedding_cache (key, vector, created_at, accessed_at) VALUES (?, ?, ?, ?)', [key, toBlob(vector), now, now]);
+      }
+      await this._run('COMMIT');
+    } catch (err) {
+      await this._run('ROLLBACK').catch(() => {});
+      throw err;
+    }
+    await this._evict(now);
+  }
+
+  async _evict(now) {
+    if (this.ttlMs) await this._run('DELETE FROM embedding_cache WHERE created_at < ?', [now - this.ttlMs]);
+    if (this.maxEntries) {
+      await this._run(`
+        DELETE FROM embedding_cache WHERE key IN (
+          SELECT key FROM embedding_cache ORDER BY accessed_at DESC LIMIT -1 OFFSET ?
+        )
+      `, [this.maxEntries]);
+    }
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
+    await this._writes;
+    await new Promise(resolve => this.db.close(() => resolve()));
+  }
+}
+
+// Works with both ioredis (mget/set(k, v, 'PX', ms)) and node-redis v4 (mGet/set(k, v, { PX })).
+// Size eviction is left to the server's maxmemory policy; entries expire through the TTL.
+class RedisEmbeddingCache {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.keyPrefix = options.keyPrefix || 'vectra:emb:';
+    this.ttlMs = options.ttlSeconds ? options.ttlSeconds * 1000 : null;
+  }
+
+  async getMany(keys) {
+    const found = new Map();
+    if (!this.client || !keys.length) return found;
+    const full = keys.map(k => `${this.keyPrefix}${k}`);
+    let values = [];
+    if (typeof this.client.mget === 'function') values = await this.client.mget(...full);
+    else if (typeof this.client.mGet === 'function') values = await this.client.mGet(full);
+    (values || []).forEach((v, i) => {
+      if (v === null || v === undefined) return;
+      try { found.set(keys[i], JSON.parse(v)); } catch (_) {}
+    });
+    return found;
+  }
+
+  async setMany(items) {
+    if (!this.client) return;
+    const isNodeRedis = typeof this.client.mGet === 'function' && typeof this.client.mget !== 'function';
+    for (const [key, vector] of items) {
+      const k = `${this.keyPrefix}${key}`;
+      const v = JSON.stringify(vector);
+      if (!this.ttlMs) await this.client.set(k, v);
+      else if (isNodeRedis) await this.client.set(k, v, { PX: this.ttlMs });
+      else await this.client.set(k, v, 'PX', this.ttlMs);
+    }
+  }
+
+  async close() {}
+}
+
+const createEmbeddingCache = (config = {}) => {
+  if (config.instance) return config.instance;
+  if (config.type === 'memory') return new InMemoryEmbeddingCache(config);
+  if (config.type === 'redis') {
+    const rc = config.redis || {};
+    return new RedisEmbeddingCache(rc.clientInstance, { keyPrefix: rc.keyPrefix, ttlSeconds: config.ttlSeconds });
+  }
+  return new SQLiteEmbeddingCache(config);
+};
+
+module.exports = { InMemoryEmbeddingCache, SQLiteEmbeddingCache, RedisEmbeddingCache, createEmbeddingCache };
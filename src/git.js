@@ -0,0 +1,179 @@
+const { execFile, spawn } = require('child_process');
+
+const MAX_BUFFER = 256 * 1024 * 1024;
+const LOG_MARKER = '\x01';
+
+// core.quotePath=false keeps UTF-8 names readable; names with quotes, backslashes or control
+// characters are still C-quoted and unquoted here
+const unquotePath = (p) => {
+  if (!p.startsWith('"') || !p.endsWith('"')) return p;
+  const bytes = [];
+  const body = p.slice(1, -1);
+  const escapes = { n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, '"': 34, '\\': 92 };
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') { bytes.push(...Buffer.from(body[i], 'utf-8')); continue; }
+    const next = body[++i];
+    if (/[0-7]/.test(next)) { bytes.push(parseInt(body.substr(i, 3), 8)); i += 2; } else bytes.push(escapes[next] ?? next.charCodeAt(0));
+  }
+  return Buffer.from(bytes).toString('utf-8');
+};
+
+// Reads blobs through one long-lived `git cat-file --batch`; requests are answered in order
+class BlobReader {
+  constructor(cwd) {
+    this.proc = spawn('git', ['cat-file', '--batch'], { cwd, stdio: ['pipe', 'pipe', 'ignore'] });
+    this.pending = [];
+    this.chunks = [];
+    this.length = 0;
+    this.header = null;
+    this.proc.stdout.on('data', (chunk) => { this.chunks.push(chunk); this.length += chunk.length; this._drain(); });
+    const fail = (err) => { this.pending.splice(0).forEach(p => p.reject(err)); };
+    this.proc.on('error', fail);
+    this.proc.on('close', () => fail(new Error('git cat-file exited')));
+  }
+
+  read(oid) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.proc.stdin.write(`${oid}\n`);
+    });
+  }
+
+  _take(n) {
+    const all = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.length);
+    this.chunks = all.length > n ? [all.subarray(n)] : [];
+    this.length = all.length - n;
+    return all.subarray(0, n);
+  }
+
+  _drain() {
+    while (this.pending.length) {
+      if (!this.header) {
+        const head = this.chunks.length === 1 ? this.chunks[0] : Buffer.concat(this.chunks, this.length);
+        const nl = head.indexOf(10);
+        if (nl < 0) return;
+        const line = this._take(nl + 1).toString('utf-8').trim();
+        const [oid, type, size] = line.split(' ');
+        if (type === 'missing' || !size) {
+          this.pending.shift().reject(new Error(`git object not found: ${oid}`));
+          continue;
+        }
+        this.header = { size: Number(size) };
+      }
+      // Content is followed by a newline
+      if (this.length < this.header.size + 1) return;
+      const data = Buffer.from(this._take(this.header.size + 1).subarray(0, this.header.size));
+      this.header = null;
+      this.pending.shift().resolve(data);
+    }
+  }
+
+  close() {
+    this.proc.stdin.end();
+  }
+}
+
+// Thin wrapper over the local `git` binary's plumbing commands for a single repository
+class GitRepo {
+  constructor(root) {
+    this.root = root;
+  }
+
+  run(args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-c', 'core.quotePath=false', ...args], { cwd: this.root, maxBuffer: MAX_BUFFER, encoding: 'buffer' }, (err, stdout, stderr) => {
+        if (err) {
+          const detail = stderr && stderr.toString('utf-8').trim();
+          return reject(new Error(`git ${args[0]} failed${detail ? `: ${detail}` : `: ${err.message}`}`));
+        }
+        resolve(stdout.toString('utf-8'));
+      });
+    });
+  }
+
+  async toplevel() {
+    return (await this.run(['rev-parse', '--show-toplevel'])).trim();
+  }
+
+  async resolveCommit(ref) {
+    return (await this.run(['rev-parse', '--verify', '--end-of-options', `${ref}^{commit}`])).trim();
+  }
+
+  async hasCommit(commit) {
+    try { await this.resolveCommit(commit); return true; } catch (_) { return false; }
+  }
+
+  // Regular files tracked at the commit; submodules and symlinks are left out
+  async listFiles(commit) {
+    const out = await this.run(['ls-tree', '-r', '-z', '-l', '--full-tree', commit]);
+    const files = [];
+    for (const rec of out.split('\0')) {
+      const tab = rec.indexOf('\t');
+      if (tab < 0) continue;
+      const [mode, type, oid, size] = rec.slice(0, tab).split(/\s+/);
+      if (type !== 'blob' || mode === '120000') continue;
+      files.push({ path: rec.slice(tab + 1), oid, size: Number(size) || 0 });
+    }
+    return files;
+  }
+
+  // Renames are reported as a delete plus an add so the old path's documents get removed
+  async changedFiles(from, to) {
+    const parts = (await this.run(['diff', '--name-status', '--no-renames', '-z', from, to])).split('\0');
+    const changed = [];
+    const removed = [];
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      const status = parts[i];
+      const file = parts[i + 1];
+      if (!status) break;
+      if (status === 'D') removed.push(file);
+      else changed.push(file);
+    }
+    return { changed, removed };
+  }
+
+  // Latest commit touching each path, found in one history walk that stops once every path is seen.
+  // `since` limits the walk to commits after it (paths it never reaches keep no entry).
+  lastCommits(commit, paths, since = null) {
+    const wanted = new Set(paths);
+    const found = new Map();
+    if (!wanted.size) return Promise.resolve(found);
+    const args = ['-c', 'core.quotePath=false', 'log', '--no-renames', '--name-only', '--format=%x01%H%x00%an%x00%ae%x00%aI', since ? `${since}..${commit}` : commit, '--'];
+    return new Promise((resolve, reject) => {
+      const proc = spawn('git', args, { cwd: this.root, stdio: ['ignore', 'pipe', 'ignore'] });
+      let rest = '';
+      let current = null;
+      let done = false;
+      const finish = () => { if (!done) { done = true; resolve(found); } };
+      proc.stdout.setEncoding('utf-8');
+      proc.stdout.on('data', (chunk) => {
+        if (done) return;
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+          if (line.startsWith(LOG_MARKER)) {
+            const [hash, name, email, date] = line.slice(1).split('\0');
+            current = { commit: hash, author: email ? `${name} <${email}>` : name, commitDate: date };
+            continue;
+          }
+          const file = unquotePath(line);
+          if (!current || !file || found.has(file) || !wanted.has(file)) continue;
+          found.set(file, current);
+          if (found.size === wanted.size) {
+            finish();
+            proc.kill();
+            return;
+          }
+        }
+      });
+      proc.on('error', (err) => { if (!done) { done = true; reject(err); } });
+      proc.on('close', finish);
+    });
+  }
+
+  openBlobs() {
+    return new BlobReader(this.root);
+  }
+}
+
+module.exports = { GitRepo, unquotePath };
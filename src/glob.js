@@ -0,0 +1,76 @@
+const REGEX_SPECIAL = /[.+^${}()|[\]\\]/g;
+
+// Translates a glob (*, **, ?, [abc], {a,b}) into a regular expression source over '/'-separated paths
+const globToSource = (glob) => {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        // "**/" also matches zero directories, so "**/*.md" covers top-level files
+        if (glob[i + 1] === '/') { i++; re += '(?:.*/)?'; } else re += '.*';
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[' && glob.indexOf(']', i + 2) > 0) {
+      const end = glob.indexOf(']', i + 2);
+      const cls = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+      re += `[${cls[0] === '!' ? `^${cls.slice(1)}` : cls}]`;
+      i = end;
+    } else if (ch === '{' && glob.indexOf('}', i) > 0) {
+      const end = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, end).split(',').map(globToSource).join('|')})`;
+      i = end;
+    } else {
+      re += ch.replace(REGEX_SPECIAL, '\\$&');
+    }
+  }
+  return re;
+};
+
+// Compiles one gitignore-style pattern. Patterns without a slash match at any depth,
+// a trailing slash restricts the pattern to directories and "!" re-includes a path.
+const compilePattern = (raw, base = '') => {
+  let p = String(raw).trim();
+  const negate = p.startsWith('!');
+  if (negate) p = p.slice(1);
+  const dirOnly = p.endsWith('/');
+  p = p.replace(/\/+$/, '');
+  const anchored = p.includes('/');
+  p = p.replace(/^\//, '');
+  const src = (anchored ? '' : '(?:.*/)?') + globToSource(p);
+  return { negate, dirOnly, base, exact: new RegExp(`^${src}$`), under: new RegExp(`^${src}/`) };
+};
+
+const testPattern = (rule, relPath, isDir) => {
+  let rel = relPath;
+  if (rule.base) {
+    if (!rel.startsWith(`${rule.base}/`)) return false;
+    rel = rel.slice(rule.base.length + 1);
+  }
+  if (rule.under.test(rel)) return true;
+  return rule.exact.test(rel) && (isDir || !rule.dirOnly);
+};
+
+// Lines of a .vectraignore file (same syntax as .gitignore), relative to the directory holding it
+const parseIgnoreFile = (text, base = '') => String(text)
+  .split(/\r?\n/)
+  .map(l => l.trim())
+  .filter(l => l && !l.startsWith('#'))
+  .map(l => compilePattern(l, base));
+
+// Last matching rule wins, so a later "!keep.md" overrides an earlier "*.md"
+const isIgnored = (rules, relPath, isDir = false) => {
+  let ignored = false;
+  for (const rule of rules) {
+    if (testPattern(rule, relPath, isDir)) ignored = !rule.negate;
+  }
+  return ignored;
+};
+
+const matchesAny = (patterns, relPath, isDir = false) => patterns.some(p => testPattern(typeof p === 'string' ? compilePattern(p) : p, relPath, isDir));
+
+module.exports = { globToSource, compilePattern, parseIgnoreFile, isIgnored, matchesAny };
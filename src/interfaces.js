@@ -18,4 +18,6 @@ class VectorStore {
         return false;
     }
 }
-module.exports = { VectorStore };
+// True when the store provides `method` itself rather than inheriting the stub above that throws
+const implementsMethod = (store, method) => !!store && typeof store[method] === 'function' && store[method] !== VectorStore.prototype[method];
+module.exports = { VectorStore, implementsMethod };
@@ -0,0 +1,17 @@
+const path = require('path');
+const { LANGUAGE_BY_EXTENSION } = require('../code_splitter');
+
+class CodeLoader {
+  constructor(languages = LANGUAGE_BY_EXTENSION) {
+    this.name = 'code';
+    this.languages = languages;
+    this.extensions = Object.keys(languages);
+  }
+
+  async load(buffer, { filePath } = {}) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    return { text: buffer.toString('utf-8'), metadata: { language: this.languages[ext] || ext.replace('.', '') || 'text' } };
+  }
+}
+
+module.exports = { CodeLoader };
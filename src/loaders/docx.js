@@ -0,0 +1,19 @@
+const mammoth = require('mammoth');
+const { assertZipWithin } = require('../zip');
+
+class DocxLoader {
+  constructor(limits = {}) {
+    this.limits = limits || {};
+    this.name = 'docx';
+    this.extensions = ['.docx'];
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+  }
+
+  async load(buffer) {
+    // mammoth inflates the whole package; check the declared part sizes first
+    assertZipWithin(buffer, this.limits);
+    return { text: (await mammoth.extractRawText({ buffer })).value };
+  }
+}
+
+module.exports = { DocxLoader };
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { HtmlLoader } = require('./html');
+
+const HEADER_LINE = /^[!-9;-~]+:/;
+
+// Raw 8-bit headers are read as latin1 with the rest of the message; most senders meant UTF-8
+const rawHeader = (value) => {
+  const s = String(value || '');
+  if (!/[\x80-\xff]/.test(s)) return s;
+  const utf8 = Buffer.from(s, 'latin1').toString('utf-8');
+  return utf8.includes('\ufffd') ? s : utf8;
+};
+
+// RFC 2047 encoded words: =?charset?B|Q?text?=
+const decodeWords = (value) => rawHeader(value)
+  .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+  .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (m, charset, enc, text) => {
+    try {
+      const bytes = enc.toLowerCase() === 'b'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))), 'latin1');
+      return decodeCharset(bytes, charset);
+    } catch (_) {
+      return m;
+    }
+  });
+
+const decodeCharset = (bytes, charset = 'utf-8') => {
+  const cs = String(charset || 'utf-8').toLowerCase().replace(/^"|"$/g, '');
+  if (cs === 'utf-8' || cs === 'utf8' || cs === 'us-ascii') return bytes.toString('utf-8');
+  if (cs === 'iso-8859-1' || cs === 'latin1') return bytes.toString('latin1');
+  try { return new TextDecoder(cs).decode(bytes); } catch (_) { return bytes.toString('utf-8'); }
+};
+
+const decodeQuotedPrintable = (str) => Buffer.from(
+  str.replace(/=\r?\n/g, '').replace(/=([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))),
+  'latin1'
+);
+
+// `Content-Type: text/plain; charset="utf-8"` -> { value: 'text/plain', params: { charset: 'utf-8' } }
+const parseHeaderValue = (raw) => {
+  const [value, ...rest] = String(raw || '').split(';');
+  const params = {};
+  for (const p of rest) {
+    const i = p.indexOf('=');
+    if (i < 0) continue;
+    const key = p.slice(0, i).trim().toLowerCase().replace(/\*$/, '');
+    let v = p.slice(i + 1).trim().replace(/^"|"$/g, '');
+    // RFC 2231 extended values: utf-8''name%20with%20spaces
+    const ext = /^([^']*)'[^']*'(.*)$/.exec(v);
+    if (ext && /\*$/.test(p.slice(0, i).trim())) {
+      try { v = decodeCharset(Buffer.from(decodeURIComponent(ext[2]), 'latin1'), ext[1] || 'utf-8'); } catch (_) {}
+    }
+    params[key] = decodeWords(v);
+  }
+  return { value: value.trim().toLowerCase(), params };
+};
+
+const splitMessage = (raw) => {
+  const m = /\r?\n\r?\n/.exec(raw);
+  const head = m ? raw.slice(0, m.index) : raw;
+  const body = m ? raw.slice(m.index + m[0].length) : '';
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    const name = line.slice(0, i).trim().toLowerCase();
+    const value = line.slice(i + 1).trim();
+    // Keep the first occurrence; later Received-style duplicates add nothing we index
+    if (!(name in headers)) headers[name] = value;
+  }
+  return { headers, body };
+};
+
+const partBytes = (body, encoding) => {
+  const enc = String(encoding || '').toLowerCase();
+  if (enc === 'base64') return Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  if (enc === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+};
+
+// Walks the MIME tree collecting the readable body (text/plain preferred over text/html) and attachments
+const walkParts = (raw, out) => {
+  const { headers, body } = splitMessage(raw);
+  const type = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const disposition = parseHeaderValue(headers['content-disposition'] || '');
+  const filename = disposition.params.filename || type.params.name || null;
+
+  if (type.value.startsWith('multipart/') && type.params.boundary) {
+    const delimiter = `--${type.params.boundary}`;
+    const parts = body.split(new RegExp(`^${delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:--)?[ \\t]*\\r?$`, 'm')).slice(1, -1);
+    if (type.value === 'multipart/alternative') {
+      // Alternatives carry the same content; keep only the best one
+      const found = parts.map(p => { const sub = { plain: [], html: [], attachments: [] }; walkParts(p.replace(/^\r?\n/, ''), sub); return sub; });
+      const best = found.find(f => f.plain.length) || found.find(f => f.html.length) || null;
+      if (best) { out.plain.push(...best.plain); out.html.push(...best.html); }
+      found.forEach(f => out.attachments.push(...f.attachments));
+      return;
+    }
+    parts.forEach(p => walkParts(p.replace(/^\r?\n/, ''), out));
+    return;
+  }
+
+  const bytes = partBytes(body, headers['content-transfer-encoding']);
+  const inline = disposition.value !== 'attachment' && !filename;
+  if (inline && type.value === 'text/plain') out.plain.push(decodeCharset(bytes, type.params.charset));
+  else if (inline && type.value === 'text/html') out.html.push(decodeCharset(bytes, type.params.charset));
+  else if (type.value === 'message/rfc822') out.attachments.push({ filename: filename || 'message.eml', mimeType: type.value, buffer: bytes });
+  else if (filename) out.attachments.push({ filename, mimeType: type.value, buffer: bytes });
+};
+
+// Drops quoted history and signatures so each chunk holds what this message actually said
+const stripReply = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const kept = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    // RFC 3676 signature delimiter, mobile footers and the headers of forwarded/quoted originals
+    if (/^-- ?$/.test(line) || /^(Sent from my |Get Outlook for )/i.test(line.trim())) break;
+    if (/^-{2,}\s*(Original Message|Forwarded message)\s*-{2,}/i.test(line.trim())) break;
+    if (/^(From|De|Von):\s/.test(line) && lines.slice(i + 1, i + 4).some(l => /^(Sent|Date|To|Subject|Envoyé|Gesendet):\s/.test(l))) break;
+    // "On Mon, 1 Jan 2024, Jane <j@x.com> wrote:" (possibly wrapped over two lines) introduces the quote
+    const intro = /^On\s.+wrote:\s*$/.test(line) || (/^On\s/.test(line) && /wrote:\s*$/.test(lines[i + 1] || ''));
+    if (intro && lines.slice(i + 1).some(l => /^>/.test(l))) break;
+    if (/^>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const messageIdOf = (value) => {
+  const m = /<([^>]+)>/.exec(String(value || ''));
+  return m ? m[1] : (String(value || '').trim() || null);
+};
+
+// The first id in References is the thread root; fall back to In-Reply-To, then the message itself
+const threadIdOf = (headers, messageId) => {
+  const refs = String(headers.references || '').match(/<[^>]+>/g);
+  if (refs && refs.length) return messageIdOf(refs[0]);
+  if (headers['in-reply-to']) return messageIdOf(headers['in-reply-to']);
+  return messageId;
+};
+
+const splitMbox = (text) => {
+  const messages = [];
+  let current = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^From /.test(line) && (current === null || current[current.length - 1] === '')) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current === null) continue;
+    // mboxrd escapes body lines starting with "From " as ">From "
+    current.push(/^>+From /.test(line) ? line.slice(1) : line);
+  }
+  if (current && current.length) messages.push(current.join('\n'));
+  return messages;
+};
+
+// .eml files and .mbox archives. Every message becomes its own set of chunks keyed by
+// Message-ID, carrying from/to/subject/date/threadId; attachments go through the other loaders.
+class EmailLoader {
+  constructor() {
+    this.name = 'email';
+    this.extensions = ['.eml', '.mbox'];
+    this.mimeTypes = ['message/rfc822', 'application/mbox'];
+    this.html = new HtmlLoader();
+  }
+
+  detect(buffer) {
+    const head = buffer.toString('latin1', 0, Math.min(buffer.length, 2048));
+    if (/^From \S+/.test(head) && /\n(From|Subject|Date):/i.test(head)) return true;
+    const block = head.split(/\r?\n\r?\n/)[0];
+    return HEADER_LINE.test(head) && /^From:/im.test(block) && /^(Message-ID|Date|Subject):/im.test(block);
+  }
+
+  async load(buffer, { filePath, mimeType, processor } = {}) {
+    const raw = buffer.toString('latin1');
+    const isMbox = /\.mbox$/i.test(filePath || '') || /mbox/.test(mimeType || '') || /^From /.test(raw);
+    const messages = isMbox ? splitMbox(raw) : [raw];
+    const chunks = [];
+    const seen = new Set();
+    let count = 0;
+    for (const message of messages) {
+      const own = await this._messageChunks(message, processor);
+      // Archives repeat cross-posted messages; keep the first copy so every chunk key is unique
+      const id = own[0].metadata.messageId;
+      if (seen.has(id)) continue;
+      seen.add(id);
+      count++;
+      chunks.push(...own);
+    }
+    return { text: chunks.map(c => c.text).join('\n\n'), chunks, metadata: { messageCount: count } };
+  }
+
+  async _messageChunks(raw, processor) {
+    const { headers } = splitMessage(raw);
+    const parts = { plain: [], html: [], attachments: [] };
+    walkParts(raw, parts);
+    const body = parts.plain.length
+      ? parts.plain.join('\n\n')
+      : parts.html.map(h => this.html.parse(h).text).join('\n\n');
+
+    const messageId = messageIdOf(headers['message-id'])
+      || crypto.createHash('sha256').update(raw).digest('hex').slice(0, 32);
+    const date = headers.date ? new Date(headers.date) : null;
+    const subject = decodeWords(headers.subject || '');
+    const meta = {
+      from: decodeWords(headers.from || ''),
+      to: decodeWords(headers.to || ''),
+      cc: headers.cc ? decodeWords(headers.cc) : undefined,
+      subject,
+      date: date && !isNaN(date) ? date.toISOString() : (headers.date || undefined),
+      messageId,
+      threadId: threadIdOf(headers, messageId),
+      section: subject || undefined
+    };
+
+    const chunks = [];
+    const header = `From: ${meta.from}\nTo: ${meta.to}\nSubject: ${subject}\nDate: ${meta.date || ''}`;
+    const texts = await this._split(stripReply(body), processor);
+    texts.forEach((text, j) => {
+      // The header line keeps each chunk self-describing when retrieved on its own
+      const key = `${messageId}#${j}`;
+      chunks.push({ text: `${header}\n\n${text}`, key, metadata: { ...meta, recordKey: key } });
+    });
+    if (!texts.length) chunks.push({ text: header, key: `${messageId}#0`, metadata: { ...meta, recordKey: `${messageId}#0` } });
+
+    const names = new Map();
+    for (const att of parts.attachments) {
+      if (!processor) break;
+      // Two attachments may share a filename; the second becomes "name~2" in its keys
+      const n = (names.get(att.filename) || 0) + 1;
+      names.set(att.filename, n);
+      const keyName = n > 1 ? `${att.filename}~${n}` : att.filename;
+      let loaded;
+      try {
+        loaded = await processor.loadBuffer(att.buffer, { filename: att.filename, mimeType: att.mimeType });
+      } catch (_) {
+        // Attachments no loader understands (images, archives) are left out rather than failing the message
+        continue;
+      }
+      const attTexts = loaded.chunks ? loaded.chunks.map(c => c.text) : await this._split(loaded.text, processor);
+      attTexts.forEach((text, j) => {
+        const key = `${messageId}#${keyName}#${j}`;
+        const own = loaded.chunks && loaded.chunks[j] ? loaded.chunks[j].metadata : {};
+        chunks.push({
+          text: `Attachment ${att.filename} (${subject})\n\n${text}`,
+          key,
+          metadata: { ...loaded.metadata, ...own, ...meta, section: own.section ? `${att.filename} / ${own.section}` : att.filename, attachment: att.filename, recordKey: key }
+        });
+      });
+    }
+    return chunks;
+  }
+
+  async _split(text, processor) {
+    if (!text || !text.trim()) return [];
+    if (!processor) return [text.trim()];
+    return processor.process(text);
+  }
+}
+
+module.exports = { EmailLoader };
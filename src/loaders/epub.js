@@ -0,0 +1,111 @@
+const path = require('path');
+const { zipIndex } = require('../zip');
+const { HtmlLoader, decodeEntities } = require('./html');
+
+const CHAPTER_SEPARATOR = '\n\n';
+
+const decodeHref = (href) => {
+  const p = href.split('#')[0];
+  try { return decodeURIComponent(p); } catch (_) { return p; }
+};
+
+const attrOf = (attrs, name) => {
+  const m = new RegExp(`\\b${name}="([^"]*)"`).exec(attrs);
+  return m ? decodeEntities(m[1]) : null;
+};
+
+// One page per spine item (chapter) so chunks cite "chapter N"; chapter titles come from the
+// table of contents, falling back to the chapter's own title or first heading
+class EpubLoader {
+  constructor(limits = {}) {
+    this.limits = limits || {};
+    this.name = 'epub';
+    this.extensions = ['.epub'];
+    this.mimeTypes = ['application/epub+zip'];
+    this.html = new HtmlLoader();
+  }
+
+  detect(buffer) {
+    return buffer.length > 58 && buffer.toString('latin1', 30, 58) === 'mimetypeapplication/epub+zip';
+  }
+
+  async load(buffer) {
+    const zip = zipIndex(buffer, this.limits);
+    const container = zip.text('META-INF/container.xml') || '';
+    const rootMatch = /<rootfile\b[^>]*\bfull-path="([^"]+)"/.exec(container);
+    if (!rootMatch) throw new Error('EPUB is missing META-INF/container.xml rootfile');
+    const opfPath = decodeEntities(rootMatch[1]);
+    const opf = zip.text(opfPath) || '';
+    const base = path.posix.dirname(opfPath);
+    const resolve = (href) => path.posix.normalize(path.posix.join(base === '.' ? '' : base, decodeHref(href)));
+
+    const manifest = new Map();
+    for (const m of opf.matchAll(/<item\b([^>]*)\/?>/g)) {
+      const id = attrOf(m[1], 'id');
+      const href = attrOf(m[1], 'href');
+      if (id && href) manifest.set(id, { href: resolve(href), mediaType: attrOf(m[1], 'media-type') || '', properties: attrOf(m[1], 'properties') || '' });
+    }
+    const spine = [...opf.matchAll(/<itemref\b([^>]*)\/?>/g)]
+      .filter(m => attrOf(m[1], 'linear') !== 'no')
+      .map(m => manifest.get(attrOf(m[1], 'idref')))
+      .filter(item => item && /html/.test(item.mediaType));
+    const tocTitles = this._tocTitles(zip, opf, manifest);
+
+    const pages = [];
+    const sections = [];
+    let offset = 0;
+    spine.forEach((item, i) => {
+      const xhtml = zip.text(item.href);
+      if (xhtml === null) return;
+      const parsed = this.html.parse(xhtml);
+      if (!parsed.text.trim()) return;
+      const title = tocTitles.get(item.href)
+        || (parsed.metadata && parsed.metadata.docTitle)
+        || (parsed.sections[0] && parsed.sections[0].title)
+        || `Chapter ${i + 1}`;
+      sections.push({ offset, title });
+      const page = `${parsed.text}${CHAPTER_SEPARATOR}`;
+      pages.push(page);
+      offset += page.length;
+    });
+
+    const metadata = { pageUnit: 'chapter' };
+    const title = /<dc:title\b[^>]*>([\s\S]*?)<\/dc:title>/.exec(opf);
+    const creator = /<dc:creator\b[^>]*>([\s\S]*?)<\/dc:creator>/.exec(opf);
+    if (title) metadata.docTitle = decodeEntities(title[1]).trim();
+    if (creator) metadata.author = decodeEntities(creator[1]).trim();
+    return { text: pages.join(''), pages, sections, metadata };
+  }
+
+  // EPUB 3 nav document, else the EPUB 2 NCX
+  _tocTitles(zip, opf, manifest) {
+    const titles = new Map();
+    const items = [...manifest.values()];
+    const nav = items.find(it => /\bnav\b/.test(it.properties));
+    if (nav) {
+      const xml = zip.text(nav.href) || '';
+      const navBase = path.posix.dirname(nav.href);
+      for (const m of xml.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/g)) {
+        const href = attrOf(m[1], 'href');
+        if (!href) continue;
+        const target = path.posix.normalize(path.posix.join(navBase, decodeHref(href)));
+        const label = decodeEntities(m[2].replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+        if (label && !titles.has(target)) titles.set(target, label);
+      }
+      if (titles.size) return titles;
+    }
+    const spineToc = /<spine\b[^>]*\btoc="([^"]+)"/.exec(opf);
+    const ncx = (spineToc && manifest.get(spineToc[1])) || items.find(it => it.mediaType === 'application/x-dtbncx+xml');
+    if (!ncx) return titles;
+    const xml = zip.text(ncx.href) || '';
+    const ncxBase = path.posix.dirname(ncx.href);
+    for (const m of xml.matchAll(/<navPoint\b[\s\S]*?<text>([\s\S]*?)<\/text>[\s\S]*?<content\b[^>]*\bsrc="([^"]+)"/g)) {
+      const target = path.posix.normalize(path.posix.join(ncxBase, decodeHref(m[2])));
+      const label = decodeEntities(m[1]).replace(/\s+/g, ' ').trim();
+      if (label && !titles.has(target)) titles.set(target, label);
+    }
+    return titles;
+  }
+}
+
+module.exports = { EpubLoader };
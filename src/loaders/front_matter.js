@@ -0,0 +1,71 @@
+// YAML front matter ("---" block at the top of a markdown file). Covers the subset front matter
+// uses in practice: scalars, quoted strings, inline [a, b] lists, "- item" lists and nested maps.
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+const parseScalar = (raw) => {
+  const v = raw.trim();
+  if (v === '' || v === '~' || v === 'null') return null;
+  if (v === 'true' || v === 'false') return v === 'true';
+  if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (v.startsWith('"') && v.endsWith('"') && v.length > 1) {
+    try { return JSON.parse(v); } catch (_) { return v.slice(1, -1); }
+  }
+  if (v.startsWith("'") && v.endsWith("'") && v.length > 1) return v.slice(1, -1).replace(/''/g, "'");
+  if (v.startsWith('[') && v.endsWith(']')) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? inner.split(',').map(parseScalar) : [];
+  }
+  return v;
+};
+
+const stripComment = (line) => line.replace(/\s+#.*$/, '');
+const indentOf = (line) => line.length - line.trimStart().length;
+
+const parseBlock = (lines, start, indent) => {
+  const first = lines[start];
+  if (first && first.trimStart().startsWith('- ')) {
+    const list = [];
+    let i = start;
+    while (i < lines.length && indentOf(lines[i]) === indent && lines[i].trimStart().startsWith('- ')) {
+      list.push(parseScalar(lines[i].trimStart().slice(2)));
+      i++;
+    }
+    return { value: list, next: i };
+  }
+  const map = {};
+  let i = start;
+  while (i < lines.length && indentOf(lines[i]) === indent) {
+    const m = lines[i].trim().match(/^("[^"]+"|'[^']+'|[^:]+):(?:\s+(.*))?$/);
+    if (!m) { i++; continue; }
+    const key = String(parseScalar(m[1]));
+    i++;
+    if (m[2] !== undefined && m[2].trim() !== '') {
+      map[key] = parseScalar(m[2]);
+    } else if (i < lines.length && (indentOf(lines[i]) > indent || (indentOf(lines[i]) === indent && lines[i].trimStart().startsWith('- ')))) {
+      const child = parseBlock(lines, i, indentOf(lines[i]));
+      map[key] = child.value;
+      i = child.next;
+    } else {
+      map[key] = null;
+    }
+  }
+  return { value: map, next: i };
+};
+
+const parseYaml = (text) => {
+  const lines = String(text).split(/\r?\n/).map(stripComment).filter(l => l.trim() && !l.trim().startsWith('#'));
+  if (!lines.length) return {};
+  const { value } = parseBlock(lines, 0, indentOf(lines[0]));
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+};
+
+// Returns the parsed fields and the body with the block removed
+const extractFrontMatter = (text) => {
+  const m = String(text).match(FRONT_MATTER);
+  if (!m) return { data: null, body: text };
+  let data = null;
+  try { data = parseYaml(m[1]); } catch (_) { data = null; }
+  return { data, body: text.slice(m[0].length) };
+};
+
+module.exports = { extractFrontMatter, parseYaml };
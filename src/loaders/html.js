@@ -0,0 +1,162 @@
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'nav', 'footer', 'aside', 'form', 'button'];
+const BLOCK_TAGS = new Set(['p', 'div', 'section', 'article', 'main', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote', 'pre', 'figure', 'figcaption', 'address', 'hr']);
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·'
+};
+
+const decodeEntities = (str) => str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+  if (code[0] === '#') {
+    const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : m;
+  }
+  const named = ENTITIES[code.toLowerCase()];
+  return named !== undefined ? named : m;
+});
+
+// Drops page-level <header> chrome; headers inside article/main/section carry the content's own title
+const stripPageHeaders = (body) => {
+  const tagRe = /<(\/?)(article|main|section|header)\b[^>]*>/gi;
+  let out = '';
+  let last = 0;
+  let depth = 0;
+  let m;
+  while ((m = tagRe.exec(body))) {
+    const [, closing, name] = m;
+    const tag = name.toLowerCase();
+    if (tag !== 'header') {
+      depth = Math.max(0, depth + (closing ? -1 : 1));
+      continue;
+    }
+    if (closing || depth > 0) continue;
+    const end = body.toLowerCase().indexOf('</header>', tagRe.lastIndex);
+    const stop = end < 0 ? body.length : end + '</header>'.length;
+    out += `${body.slice(last, m.index)} `;
+    last = stop;
+    tagRe.lastIndex = stop;
+  }
+  return out + body.slice(last);
+};
+
+const attr = (attrs, name) => {
+  const m = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attrs || '');
+  return m ? decodeEntities(m[1] ?? m[2] ?? m[3] ?? '') : null;
+};
+
+class HtmlLoader {
+  constructor() {
+    this.name = 'html';
+    this.extensions = ['.html', '.htm', '.xhtml'];
+    this.mimeTypes = ['text/html', 'application/xhtml+xml'];
+  }
+
+  detect(buffer) {
+    const head = buffer.toString('utf-8', 0, Math.min(buffer.length, 512)).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    return head.startsWith('<!doctype html') || head.startsWith('<html');
+  }
+
+  async load(buffer) {
+    return this.parse(buffer.toString('utf-8'));
+  }
+
+  parse(html) {
+    const titleMatch = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+    const docTitle = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+    let body = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<head\b[\s\S]*?<\/head>/i, '');
+    for (const tag of BOILERPLATE_TAGS) {
+      body = body.replace(new RegExp(`<${tag}\\b[^>]*>[\\s\\S]*?<\\/${tag}>`, 'gi'), ' ');
+    }
+    body = stripPageHeaders(body);
+    body = body.replace(/<([a-z][a-z0-9]*)\b[^>]*\brole\s*=\s*["']?(navigation|banner|contentinfo)["']?[^>]*>[\s\S]*?<\/\1>/gi, ' ');
+    // Prefer the main content region when the page marks one
+    const main = /<main\b[^>]*>([\s\S]*?)<\/main>/i.exec(body);
+    if (main) body = main[1];
+
+    const { text, sections } = this._render(body);
+    return { text, sections, metadata: docTitle ? { docTitle } : {} };
+  }
+
+  _render(body) {
+    let out = '';
+    let preDepth = 0;
+    let heading = null;
+    let link = null;
+    let cellIndex = 0;
+    const sections = [];
+
+    const newline = (n = 1) => {
+      out = out.replace(/[ \t]+$/, '');
+      if (!out) return;
+      const trailing = out.length - out.replace(/\n+$/, '').length;
+      if (trailing < n) out += '\n'.repeat(n - trailing);
+    };
+    const write = (raw) => {
+      let s = decodeEntities(raw);
+      if (!preDepth) {
+        s = s.replace(/\s+/g, ' ');
+        if (!out || out.endsWith('\n') || out.endsWith(' ')) s = s.replace(/^ /, '');
+      }
+      if (!s) return;
+      out += s;
+      if (link) link.text += s;
+      if (heading) heading.text += s;
+    };
+
+    const re = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)([^>]*)>|([^<]+)|(<)/g;
+    let m;
+    while ((m = re.exec(body)) !== null) {
+      if (m[4] !== undefined || m[5] !== undefined) { write(m[4] ?? m[5]); continue; }
+      const closing = m[1] === '/';
+      const tag = m[2].toLowerCase();
+      const attrs = m[3];
+
+      if (/^h[1-6]$/.test(tag)) {
+        if (!closing) {
+          newline(2);
+          heading = { offset: out.length, text: '' };
+        } else if (heading) {
+          const title = heading.text.replace(/\s+/g, ' ').trim();
+          if (title) sections.push({ offset: heading.offset, title });
+          heading = null;
+          newline(2);
+        }
+      } else if (tag === 'a') {
+        if (!closing) {
+          link = { href: attr(attrs, 'href'), text: '' };
+        } else if (link) {
+          const { href, text } = link;
+          link = null;
+          if (href && !/^(#|javascript:)/i.test(href) && href !== text.trim()) write(` (${href})`);
+        }
+      } else if (tag === 'br') {
+        newline(1);
+      } else if (tag === 'li') {
+        if (!closing) { newline(1); write('- '); } else newline(1);
+      } else if (tag === 'table') {
+        newline(2);
+      } else if (tag === 'tr') {
+        newline(1);
+        cellIndex = 0;
+      } else if (tag === 'td' || tag === 'th') {
+        if (!closing) {
+          if (cellIndex > 0) write(' | ');
+          cellIndex++;
+        }
+      } else if (tag === 'img' && !closing) {
+        const alt = attr(attrs, 'alt');
+        if (alt) write(` ${alt} `);
+      } else if (tag === 'pre') {
+        newline(2);
+        preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      } else if (BLOCK_TAGS.has(tag)) {
+        newline(tag === 'p' || tag === 'blockquote' ? 2 : 1);
+      }
+    }
+    return { text: out.replace(/\s+$/, ''), sections };
+  }
+}
+
+module.exports = { HtmlLoader, decodeEntities };
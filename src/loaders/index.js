@@ -0,0 +1,37 @@
+const { LoaderRegistry } = require('./registry');
+const { PdfLoader } = require('./pdf');
+const { DocxLoader } = require('./docx');
+const { TextLoader } = require('./text');
+const { SpreadsheetLoader } = require('./spreadsheet');
+const { HtmlLoader } = require('./html');
+const { JsonLoader } = require('./json');
+const { CodeLoader } = require('./code');
+const { PptxLoader } = require('./pptx');
+const { EpubLoader } = require('./epub');
+const { OdtLoader } = require('./opendocument');
+const { EmailLoader } = require('./email');
+const { TranscriptLoader } = require('./transcript');
+
+function createDefaultLoaderRegistry(options = {}) {
+  const registry = new LoaderRegistry();
+  registry.register(new PdfLoader());
+  registry.register(new DocxLoader(options.archive));
+  registry.register(new TextLoader());
+  registry.register(new SpreadsheetLoader(options.archive));
+  registry.register(new HtmlLoader());
+  const transcript = new TranscriptLoader(options.transcript);
+  registry.register(new JsonLoader(options.json, transcript));
+  registry.register(new CodeLoader());
+  registry.register(new PptxLoader(options.archive));
+  registry.register(new EpubLoader(options.archive));
+  registry.register(new OdtLoader(options.archive));
+  registry.register(new EmailLoader());
+  registry.register(transcript);
+  return registry;
+}
+
+module.exports = {
+  LoaderRegistry, createDefaultLoaderRegistry,
+  PdfLoader, DocxLoader, TextLoader, SpreadsheetLoader, HtmlLoader, JsonLoader, CodeLoader,
+  PptxLoader, EpubLoader, OdtLoader, EmailLoader, TranscriptLoader
+};
@@ -0,0 +1,104 @@
+const path = require('path');
+const { transcriptSegments } = require('./transcript');
+
+const getPath = (obj, dotted) => {
+  if (!dotted) return obj;
+  return String(dotted).split('.').reduce((acc, k) => (acc === null || acc === undefined ? undefined : acc[k]), obj);
+};
+
+const renderValue = (v) => {
+  if (v === null || v === undefined) return '';
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+};
+
+class JsonLoader {
+  constructor(options = {}, transcriptLoader = null) {
+    this.name = 'json';
+    this.extensions = ['.json', '.jsonl', '.ndjson'];
+    this.mimeTypes = ['application/json', 'application/x-ndjson', 'application/jsonl'];
+    this.options = options || {};
+    this.transcriptLoader = transcriptLoader;
+  }
+
+  async load(buffer, { filePath, mimeType, processor } = {}) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    const raw = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+    const lines = ext === '.jsonl' || ext === '.ndjson' || /ndjson|jsonl/.test(mimeType || '');
+    const parsed = lines ? null : JSON.parse(raw);
+    if (parsed !== null && this._transcriptWanted(filePath)) {
+      // Speech-to-text output (timed segments) is chunked by time window instead of by record
+      const cues = transcriptSegments(parsed);
+      if (cues) return this.transcriptLoader.fromCues(cues, processor);
+    }
+    const records = lines ? this._parseLines(raw) : this._parseDocument(parsed);
+
+    const opts = this.options;
+    const groupSize = Math.max(1, Number(opts.groupSize) || 1);
+    const chunks = [];
+    for (let i = 0; i < records.length; i += groupSize) {
+      const group = records.slice(i, i + groupSize);
+      const text = group.map(r => this._renderRecord(r)).filter(Boolean).join('\n\n');
+      if (!text) continue;
+      const metadata = { recordFrom: i, recordTo: i + group.length - 1 };
+      let key;
+      if (opts.idField) {
+        const keys = group.map((r, j) => {
+          const k = getPath(r, opts.idField);
+          return k === undefined || k === null || k === '' ? `#${i + j}` : String(k);
+        });
+        key = keys.length > 1 ? `${keys[0]}..${keys[keys.length - 1]}` : keys[0];
+        metadata.recordKey = key;
+      }
+      for (const f of opts.metadataFields || []) {
+        const v = getPath(group[0], f);
+        if (v !== undefined) metadata[f] = v;
+      }
+      chunks.push({ text, key, metadata });
+    }
+    if (opts.idField) {
+      // A repeated id means a later version of the record: the last one wins, as an upsert would
+      const last = new Map(chunks.map((c, i) => [c.key, i]));
+      const unique = chunks.filter((c, i) => last.get(c.key) === i);
+      return { text: unique.map(c => c.text).join('\n\n'), chunks: unique };
+    }
+    return { text: chunks.map(c => c.text).join('\n\n'), chunks };
+  }
+
+  _parseLines(raw) {
+    const out = [];
+    raw.split(/\r?\n/).forEach((ln, i) => {
+      if (!ln.trim()) return;
+      try { out.push(JSON.parse(ln)); } catch (e) { throw new Error(`Invalid JSON on line ${i + 1}: ${e.message}`); }
+    });
+    return out;
+  }
+
+  // Opt-in, since record exports can have start/text fields too: a `.transcript.json` name or
+  // `ingestion.transcript.json: true`, and never when records are configured
+  _transcriptWanted(filePath) {
+    if (!this.transcriptLoader || this.options.recordsPath || this.options.idField) return false;
+    return /\.transcript\.json$/i.test(filePath || '') || !!(this.transcriptLoader.options && this.transcriptLoader.options.json);
+  }
+
+  _parseDocument(parsed) {
+    const root = getPath(parsed, this.options.recordsPath);
+    if (Array.isArray(root)) return root;
+    if (root === undefined) throw new Error(`recordsPath "${this.options.recordsPath}" not found in JSON document`);
+    return [root];
+  }
+
+  _renderRecord(record) {
+    if (record === null || typeof record !== 'object') return renderValue(record);
+    const opts = this.options;
+    const fields = Array.isArray(opts.contentFields) && opts.contentFields.length
+      ? opts.contentFields
+      : Object.keys(record).filter(k => !(opts.metadataFields || []).includes(k) && k !== opts.idField);
+    return fields
+      .map(f => [f, getPath(record, f)])
+      .filter(([, v]) => v !== undefined && v !== null && v !== '')
+      .map(([f, v]) => (fields.length === 1 ? renderValue(v) : `${f}: ${renderValue(v)}`))
+      .join('\n');
+  }
+}
+
+module.exports = { JsonLoader };
@@ -0,0 +1,67 @@
+const { zipIndex } = require('../zip');
+const { decodeEntities } = require('./html');
+
+const ODT_MIME = 'application/vnd.oasis.opendocument.text';
+
+// Inline ODF markup: <text:s text:c="n"/> is n spaces, tabs and line breaks are elements
+const inlineText = (xml) => decodeEntities(xml
+  .replace(/<text:s\b([^>]*)\/>/g, (_, attrs) => ' '.repeat(Number((/text:c="(\d+)"/.exec(attrs) || [])[1]) || 1))
+  .replace(/<text:tab\b[^>]*\/>/g, '\t')
+  .replace(/<text:line-break\b[^>]*\/>/g, '\n')
+  .replace(/<text:note\b[\s\S]*?<\/text:note>/g, '')
+  .replace(/<[^>]+>/g, ''));
+
+// OpenDocument text (.odt). Headings become sections, and each top-level heading starts a new
+// page with unit "section" so chunks cite "section N" alongside the heading title.
+class OdtLoader {
+  constructor(limits = {}) {
+    this.limits = limits || {};
+    this.name = 'odt';
+    this.extensions = ['.odt'];
+    this.mimeTypes = [ODT_MIME];
+  }
+
+  // ODF packages store an uncompressed "mimetype" entry first, so its content sits at a fixed offset
+  detect(buffer) {
+    const sig = `mimetype${ODT_MIME}`;
+    return buffer.length > 30 + sig.length && buffer.toString('latin1', 30, 30 + sig.length) === sig;
+  }
+
+  async load(buffer) {
+    const zip = zipIndex(buffer, this.limits);
+    const content = zip.text('content.xml');
+    if (content === null) throw new Error('OpenDocument file is missing content.xml');
+    const bodyMatch = /<office:text\b[^>]*>([\s\S]*)<\/office:text>/.exec(content);
+    const body = bodyMatch ? bodyMatch[1] : '';
+
+    const blocks = [];
+    for (const m of body.matchAll(/<text:(h|p)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/text:\1>)/g)) {
+      const text = inlineText(m[3] || '').trim();
+      if (!text) continue;
+      const level = m[1] === 'h' ? Number((/text:outline-level="(\d+)"/.exec(m[2]) || [])[1] || 1) : 0;
+      blocks.push({ text, level });
+    }
+    const top = blocks.filter(b => b.level).reduce((min, b) => Math.min(min, b.level), Infinity);
+
+    const pages = [];
+    const sections = [];
+    let current = '';
+    let text = '';
+    for (const b of blocks) {
+      if (b.level && b.level === top && current) { pages.push(current); current = ''; }
+      if (b.level) sections.push({ offset: text.length, title: b.text });
+      const piece = `${b.text}\n\n`;
+      current += piece;
+      text += piece;
+    }
+    if (current) pages.push(current);
+
+    const meta = zip.text('meta.xml') || '';
+    const title = /<dc:title>([\s\S]*?)<\/dc:title>/.exec(meta);
+    const metadata = { pageUnit: 'section' };
+    if (title && title[1].trim()) metadata.docTitle = decodeEntities(title[1]).trim();
+    return { text, pages: Number.isFinite(top) ? pages : null, sections, metadata };
+  }
+}
+
+module.exports = { OdtLoader };
@@ -0,0 +1,56 @@
+const pdf = require('pdf-parse');
+
+class PdfLoader {
+  constructor() {
+    this.name = 'pdf';
+    this.extensions = ['.pdf'];
+    this.mimeTypes = ['application/pdf'];
+  }
+
+  detect(buffer) {
+    return buffer.length >= 5 && buffer.toString('latin1', 0, 5) === '%PDF-';
+  }
+
+  async load(buffer) {
+    let PDFParse = pdf.PDFParse;
+    if (!PDFParse && pdf.default && pdf.default.PDFParse) {
+      PDFParse = pdf.default.PDFParse;
+    }
+
+    if (PDFParse) {
+      // Handle pdf-parse v2
+      const parser = new PDFParse({ data: buffer });
+      const info = await parser.getInfo();
+      const total = info.total;
+      const pages = [];
+      let fullText = '';
+
+      for (let i = 1; i <= total; i++) {
+        const pageRes = await parser.getText({ partial: [i] });
+        const pageText = pageRes.text || '';
+        pages.push(pageText);
+        fullText += pageText + '\n';
+      }
+      await parser.destroy();
+      return { text: fullText, pages };
+    }
+
+    // Fallback for v1 (or if PDFParse class not found)
+    let pdfFunc = pdf;
+    if (typeof pdfFunc !== 'function' && pdfFunc.default) {
+      pdfFunc = pdfFunc.default;
+    }
+
+    const pages = [];
+    const res = await pdfFunc(buffer, {
+      pagerender: pageData => pageData.getTextContent().then(tc => {
+        const s = tc.items.map(it => it.str).join(' ');
+        pages.push(s);
+        return s;
+      })
+    });
+    return { text: res.text, pages };
+  }
+}
+
+module.exports = { PdfLoader };
@@ -0,0 +1,97 @@
+const path = require('path');
+const { zipIndex } = require('../zip');
+const { decodeEntities } = require('./html');
+
+const SLIDE_SEPARATOR = '\n\n';
+
+// DrawingML text: runs (<a:t>) inside paragraphs (<a:p>), one line per paragraph
+const drawingText = (xml) => (xml.match(/<a:p\b[\s\S]*?<\/a:p>/g) || [])
+  .map(p => (p.match(/<a:t(?:\s[^>]*)?>([\s\S]*?)<\/a:t>/g) || []).map(t => decodeEntities(t.replace(/<[^>]+>/g, ''))).join(''))
+  .map(l => l.trim())
+  .filter(Boolean)
+  .join('\n');
+
+const relationships = (xml) => {
+  const rels = new Map();
+  for (const m of (xml || '').matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    const id = /\bId="([^"]*)"/.exec(m[1]);
+    const target = /\bTarget="([^"]*)"/.exec(m[1]);
+    const type = /\bType="([^"]*)"/.exec(m[1]);
+    if (id && target) rels.set(id[1], { target: target[1], type: type ? type[1] : '' });
+  }
+  return rels;
+};
+
+const resolvePart = (fromPart, target) => (target.startsWith('/') ? target.slice(1) : path.posix.join(path.posix.dirname(fromPart), target));
+
+// One page per slide, in presentation order, so chunks cite "slide N"; speaker notes follow the slide text
+class PptxLoader {
+  constructor(limits = {}) {
+    this.limits = limits || {};
+    this.name = 'pptx';
+    this.extensions = ['.pptx'];
+    this.mimeTypes = ['application/vnd.openxmlformats-officedocument.presentationml.presentation'];
+  }
+
+  async load(buffer) {
+    const zip = zipIndex(buffer, this.limits);
+    const pages = [];
+    const sections = [];
+    let offset = 0;
+    this._slideParts(zip).forEach((part, i) => {
+      const xml = zip.text(part) || '';
+      const title = this._title(xml) || `Slide ${i + 1}`;
+      let text = drawingText(xml);
+      const notes = this._notes(zip, part);
+      if (notes) text += `${text ? '\n' : ''}Notes: ${notes}`;
+      sections.push({ offset, title });
+      const page = `${text}${SLIDE_SEPARATOR}`;
+      pages.push(page);
+      offset += page.length;
+    });
+    const docTitle = this._docTitle(zip);
+    return { text: pages.join(''), pages, sections, metadata: { pageUnit: 'slide', ...(docTitle ? { docTitle } : {}) } };
+  }
+
+  _slideParts(zip) {
+    const pres = zip.text('ppt/presentation.xml') || '';
+    const rels = relationships(zip.text('ppt/_rels/presentation.xml.rels'));
+    const ordered = [...pres.matchAll(/<p:sldId\b[^>]*\br:id="([^"]*)"/g)]
+      .map(m => rels.get(m[1]))
+      .filter(Boolean)
+      .map(r => resolvePart('ppt/presentation.xml', r.target))
+      .filter(p => zip.has(p));
+    if (ordered.length) return ordered;
+    // No usable slide list: fall back to slideN.xml numbering
+    return zip.names()
+      .filter(n => /^ppt\/slides\/slide\d+\.xml$/.test(n))
+      .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+  }
+
+  _title(xml) {
+    for (const sp of xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || []) {
+      if (/<p:ph\b[^>]*\btype="(title|ctrTitle)"/.test(sp)) return drawingText(sp).replace(/\s+/g, ' ').trim();
+    }
+    return '';
+  }
+
+  _notes(zip, slidePart) {
+    const relsPart = path.posix.join(path.posix.dirname(slidePart), '_rels', `${path.posix.basename(slidePart)}.rels`);
+    for (const rel of relationships(zip.text(relsPart)).values()) {
+      if (!/\/notesSlide$/.test(rel.type)) continue;
+      const xml = zip.text(resolvePart(slidePart, rel.target)) || '';
+      // Skip the slide-image and slide-number placeholders every notes page carries
+      const body = (xml.match(/<p:sp\b[\s\S]*?<\/p:sp>/g) || []).filter(sp => /<p:ph\b[^>]*\btype="body"/.test(sp));
+      return body.map(drawingText).join('\n').trim();
+    }
+    return '';
+  }
+
+  _docTitle(zip) {
+    const core = zip.text('docProps/core.xml') || '';
+    const m = /<dc:title>([\s\S]*?)<\/dc:title>/.exec(core);
+    return m ? decodeEntities(m[1]).trim() : '';
+  }
+}
+
+module.exports = { PptxLoader };
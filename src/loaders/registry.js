@@ -0,0 +1,74 @@
+const path = require('path');
+
+class LoaderRegistry {
+  constructor() {
+    this._loaders = [];
+    this._byExtension = new Map();
+    this._byMimeType = new Map();
+  }
+
+  register(loaderOrExtensions, loadFn) {
+    let loader = loaderOrExtensions;
+    if (typeof loadFn === 'function') {
+      const exts = Array.isArray(loaderOrExtensions) ? loaderOrExtensions : [loaderOrExtensions];
+      loader = { name: exts.join(','), extensions: exts, load: loadFn };
+    }
+    if (!loader || typeof loader.load !== 'function') throw new Error('Loader must implement load(buffer, context)');
+    if (!(loader.extensions || []).length && !(loader.mimeTypes || []).length && typeof loader.detect !== 'function') {
+      throw new Error('Loader must declare extensions, mimeTypes or detect(buffer)');
+    }
+    // Later registrations win so users can override the built-in loaders
+    this._loaders.unshift(loader);
+    this._map(loader);
+    return this;
+  }
+
+  // Removes a loader (given itself or one of its extensions) from extension, MIME and detect()
+  // lookup; loaders it had overridden take their mappings back
+  unregister(loaderOrExtension) {
+    const loader = typeof loaderOrExtension === 'object' && loaderOrExtension !== null
+      ? loaderOrExtension
+      : this._byExtension.get(this._normalizeExtension(loaderOrExtension));
+    const index = loader ? this._loaders.indexOf(loader) : -1;
+    if (index < 0) return false;
+    this._loaders.splice(index, 1);
+    this._byExtension.clear();
+    this._byMimeType.clear();
+    for (let i = this._loaders.length - 1; i >= 0; i--) this._map(this._loaders[i]);
+    return true;
+  }
+
+  extensions() {
+    return Array.from(this._byExtension.keys());
+  }
+
+  supports(filePath) {
+    return this._byExtension.has(path.extname(filePath).toLowerCase());
+  }
+
+  resolve({ filePath = null, mimeType = null, buffer = null } = {}) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    if (ext && this._byExtension.has(ext)) return this._byExtension.get(ext);
+    const mime = mimeType ? String(mimeType).split(';')[0].trim().toLowerCase() : '';
+    if (mime && this._byMimeType.has(mime)) return this._byMimeType.get(mime);
+    if (buffer) {
+      for (const loader of this._loaders) {
+        if (typeof loader.detect !== 'function') continue;
+        try { if (loader.detect(buffer)) return loader; } catch (_) {}
+      }
+    }
+    return null;
+  }
+
+  _map(loader) {
+    (loader.extensions || []).forEach(e => this._byExtension.set(this._normalizeExtension(e), loader));
+    (loader.mimeTypes || []).forEach(m => this._byMimeType.set(String(m).toLowerCase(), loader));
+  }
+
+  _normalizeExtension(ext) {
+    const e = String(ext).toLowerCase();
+    return e.startsWith('.') ? e : `.${e}`;
+  }
+}
+
+module.exports = { LoaderRegistry };
@@ -0,0 +1,119 @@
+const path = require('path');
+const { isZip, assertZipWithin } = require('../zip');
+const xlsx = require('xlsx');
+
+const DEFAULT_CHUNK_SIZE = 1000;
+
+const parseDelimited = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+};
+
+const toLine = (cells) => cells.map(c => {
+  const s = c === null || c === undefined ? '' : String(c);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}).join(',');
+
+const isBlank = (cells) => !cells || cells.every(c => c === null || c === undefined || String(c).trim() === '');
+
+class SpreadsheetLoader {
+  constructor(limits = {}) {
+    this.limits = limits || {};
+    this.name = 'spreadsheet';
+    this.extensions = ['.xlsx', '.xls', '.ods', '.csv', '.tsv'];
+    this.mimeTypes = [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'text/csv',
+      'text/tab-separated-values'
+    ];
+  }
+
+  async load(buffer, { filePath, mimeType, processor } = {}) {
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    const maxSize = (processor && processor.config && processor.config.chunkSize) || DEFAULT_CHUNK_SIZE;
+    const measure = processor && typeof processor.measure === 'function' ? (str) => processor.measure(str) : (str) => str.length;
+    const sheets = [];
+    if (ext === '.csv' || ext === '.tsv' || /^text\/(csv|tab-separated-values)/.test(mimeType || '')) {
+      const delimiter = ext === '.tsv' || /tab-separated/.test(mimeType || '') ? '\t' : ',';
+      const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+      const name = filePath ? path.basename(filePath, ext) : 'Sheet1';
+      sheets.push({ name, rows: parseDelimited(text, delimiter).map((cells, i) => ({ rowNumber: i + 1, cells })) });
+    } else {
+      // .xlsx/.ods are zip packages that xlsx inflates in full
+      if (isZip(buffer)) assertZipWithin(buffer, this.limits);
+      const wb = xlsx.read(buffer, { type: 'buffer' });
+      for (const name of wb.SheetNames) {
+        const sheet = wb.Sheets[name];
+        if (!sheet || !sheet['!ref']) continue;
+        const firstRow = xlsx.utils.decode_range(sheet['!ref']).s.r + 1;
+        const rows = xlsx.utils.sheet_to_json(sheet, { header: 1, blankrows: true, defval: '', raw: false });
+        sheets.push({ name, rows: rows.map((cells, i) => ({ rowNumber: firstRow + i, cells })) });
+      }
+    }
+
+    const chunks = [];
+    const texts = [];
+    for (const { name, rows } of sheets) {
+      const filled = rows.filter(r => !isBlank(r.cells));
+      if (filled.length === 0) continue;
+      const header = toLine(filled[0].cells);
+      texts.push([header, ...filled.slice(1).map(r => toLine(r.cells))].join('\n'));
+      chunks.push(...this._groupRows(header, filled.slice(1), name, maxSize, measure));
+    }
+    return { text: texts.join('\n\n'), chunks };
+  }
+
+  // Packs whole rows into chunks of at most maxSize, repeating the header row in each chunk
+  _groupRows(header, rows, sheetName, maxSize, measure) {
+    const chunks = [];
+    let lines = [];
+    let from = null;
+    let to = null;
+    const headerSize = measure(header);
+    let size = headerSize;
+    const flush = () => {
+      if (!lines.length) return;
+      chunks.push({ text: [header, ...lines].join('\n'), metadata: { sheetName, section: sheetName, rowFrom: from, rowTo: to } });
+      lines = []; from = null; size = headerSize;
+    };
+    for (const r of rows) {
+      const line = toLine(r.cells);
+      const lineSize = measure(line) + 1;
+      if (lines.length && size + lineSize > maxSize) flush();
+      lines.push(line);
+      size += lineSize;
+      if (from === null) from = r.rowNumber;
+      to = r.rowNumber;
+    }
+    flush();
+    // A header-only sheet still yields one chunk so it stays searchable
+    if (!chunks.length) chunks.push({ text: header, metadata: { sheetName, section: sheetName } });
+    return chunks;
+  }
+}
+
+module.exports = { SpreadsheetLoader };
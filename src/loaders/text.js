@@ -0,0 +1,38 @@
+const path = require('path');
+const { extractFrontMatter } = require('./front_matter');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx'];
+
+class TextLoader {
+  constructor() {
+    this.name = 'text';
+    this.extensions = ['.txt', '.md', '.markdown', '.mdx'];
+    this.mimeTypes = ['text/plain', 'text/markdown'];
+  }
+
+  async load(buffer, { filePath, mimeType } = {}) {
+    let text = buffer.toString('utf-8');
+    let metadata;
+    const isMarkdown = (filePath && MARKDOWN_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) || /^text\/markdown/i.test(mimeType || '');
+    if (isMarkdown) {
+      // Front matter fields land in every chunk's metadata instead of in the chunk text
+      const { data, body } = extractFrontMatter(text);
+      if (data) text = body;
+      // `format` lets the markdown chunking strategy tell markdown from other text
+      metadata = { ...(data || {}), format: 'markdown' };
+    }
+    return { text, sections: this._headings(text), metadata };
+  }
+
+  _headings(text) {
+    const sections = [];
+    let offset = 0;
+    for (const ln of text.split(/\n/)) {
+      if (/^#{1,6}\s+/.test(ln)) sections.push({ offset, title: ln.replace(/^#{1,6}\s+/, '') });
+      offset += ln.length + 1;
+    }
+    return sections;
+  }
+}
+
+module.exports = { TextLoader };
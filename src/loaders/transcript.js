@@ -0,0 +1,124 @@
+const path = require('path');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_CHUNK_SIZE = 1000;
+
+// "01:02:03,500", "02:03.5" or a plain number of seconds
+const parseTimestamp = (value) => {
+  if (typeof value === 'number') return value;
+  const str = String(value || '').trim().replace(',', '.');
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str);
+  const parts = str.split(':').map(Number);
+  if (!parts.length || parts.some(n => !Number.isFinite(n))) return null;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+};
+
+const CUE_TIMING = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// SRT and WebVTT share the "start --> end" cue line followed by text lines; VTT adds a header,
+// NOTE/STYLE blocks and <v Speaker> voice tags
+const parseCues = (text) => {
+  const cues = [];
+  for (const block of text.replace(/\r\n?/g, '\n').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const at = lines.findIndex(l => CUE_TIMING.test(l));
+    if (at < 0) continue;
+    const [, start, end] = CUE_TIMING.exec(lines[at]);
+    let speaker = null;
+    const body = lines.slice(at + 1).join('\n')
+      .replace(/<v(?:\.[^\s>]+)?\s+([^>]+)>/g, (_, name) => { speaker = speaker || name.trim(); return ''; })
+      .replace(/<[^>]+>/g, '')
+      .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+      .trim();
+    if (!body) continue;
+    cues.push({ start: parseTimestamp(start), end: parseTimestamp(end), text: body, speaker });
+  }
+  return cues;
+};
+
+const SEGMENT_KEYS = ['segments', 'utterances', 'cues', 'transcript'];
+
+// Whisper-style { segments: [{ start, end, text, speaker? }] } or a bare array of such segments
+const transcriptSegments = (parsed) => {
+  let list = Array.isArray(parsed) ? parsed : null;
+  if (!list && parsed && typeof parsed === 'object') {
+    const key = SEGMENT_KEYS.find(k => Array.isArray(parsed[k]));
+    list = key ? parsed[key] : null;
+  }
+  if (!list || !list.length) return null;
+  const cues = [];
+  for (const s of list) {
+    if (!s || typeof s !== 'object') return null;
+    const start = parseTimestamp(s.start ?? s.startTime ?? s.start_time);
+    const text = s.text ?? s.content ?? s.transcript;
+    if (start === null || typeof text !== 'string') return null;
+    const end = parseTimestamp(s.end ?? s.endTime ?? s.end_time);
+    cues.push({ start, end: end === null ? start : end, text: text.trim(), speaker: s.speaker ?? s.speaker_label ?? s.speakerName ?? null });
+  }
+  return cues;
+};
+
+// Subtitles and transcripts are chunked by time rather than sentences: cues are packed into
+// windows of `windowSeconds` (or chunkSize, whichever fills first) carrying timeFrom/timeTo in seconds
+class TranscriptLoader {
+  constructor(options = {}) {
+    this.name = 'transcript';
+    this.extensions = ['.srt', '.vtt'];
+    this.mimeTypes = ['application/x-subrip', 'text/vtt'];
+    this.options = options || {};
+  }
+
+  detect(buffer) {
+    return buffer.toString('utf-8', 0, Math.min(buffer.length, 16)).replace(/^\uFEFF/, '').startsWith('WEBVTT');
+  }
+
+  async load(buffer, { filePath, processor } = {}) {
+    const cues = parseCues(buffer.toString('utf-8').replace(/^\uFEFF/, ''));
+    if (!cues.length) throw new Error(`No subtitle cues found${filePath ? ` in ${path.basename(filePath)}` : ''}`);
+    return this.fromCues(cues, processor);
+  }
+
+  fromCues(cues, processor) {
+    const windowSeconds = Number(this.options.windowSeconds) || DEFAULT_WINDOW_SECONDS;
+    const maxSize = (processor && processor.config && processor.config.chunkSize) || DEFAULT_CHUNK_SIZE;
+    const measure = processor && typeof processor.measure === 'function' ? (str) => processor.measure(str) : (str) => str.length;
+    const chunks = [];
+    let lines = [];
+    let size = 0;
+    let from = null;
+    let to = null;
+    let lastSpeaker = null;
+    const speakers = new Set();
+    const flush = () => {
+      if (!lines.length) return;
+      const metadata = { timeFrom: from, timeTo: to };
+      if (speakers.size) metadata.speakers = [...speakers];
+      chunks.push({ text: lines.join('\n'), metadata });
+      lines = []; size = 0; from = null; to = null; lastSpeaker = null; speakers.clear();
+    };
+    // Name the speaker only when it changes, as a transcript would
+    const render = (cue) => (cue.speaker && cue.speaker !== lastSpeaker ? `${cue.speaker}: ${cue.text}` : cue.text);
+    for (const cue of [...cues].sort((a, b) => a.start - b.start)) {
+      if (lines.length && (cue.start - from >= windowSeconds || size + measure(render(cue)) + 1 > maxSize)) flush();
+      const line = render(cue);
+      lines.push(line);
+      size += measure(line) + 1;
+      if (from === null) from = cue.start;
+      to = Math.max(to === null ? cue.start : to, cue.end);
+      if (cue.speaker) { speakers.add(cue.speaker); lastSpeaker = cue.speaker; }
+    }
+    flush();
+    return { text: chunks.map(c => c.text).join('\n\n'), chunks };
+  }
+}
+
+// 754 -> "12:34", 3723 -> "1:02:03"
+const formatTimestamp = (seconds) => {
+  const total = Math.max(0, Math.floor(Number(seconds) || 0));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
+module.exports = { TranscriptLoader, transcriptSegments, formatTimestamp };
@@ -0,0 +1,191 @@
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+/;
+const SETEXT_RE = /^ {0,3}(=+|-+)\s*$/;
+
+const isBlank = (line) => line.trim() === '';
+
+// Parses markdown into blocks (heading, code, table, list, paragraph) with line ranges
+const parseBlocks = (lines) => {
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) { i++; continue; }
+
+    const fence = FENCE_RE.exec(line);
+    if (fence) {
+      const marker = fence[1][0];
+      const len = fence[1].length;
+      let j = i + 1;
+      while (j < lines.length && !new RegExp(`^ {0,3}\\${marker}{${len},}\\s*$`).test(lines[j])) j++;
+      blocks.push({ type: 'code', from: i, to: Math.min(j + 1, lines.length) });
+      i = j + 1;
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line);
+    if (heading) {
+      blocks.push({ type: 'heading', from: i, to: i + 1, level: heading[1].length, title: heading[2].trim() });
+      i++;
+      continue;
+    }
+    if (i + 1 < lines.length && SETEXT_RE.test(lines[i + 1]) && !LIST_ITEM_RE.test(line) && !line.includes('|')) {
+      blocks.push({ type: 'heading', from: i, to: i + 2, level: lines[i + 1].trim()[0] === '=' ? 1 : 2, title: line.trim() });
+      i += 2;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      let j = i + 2;
+      while (j < lines.length && !isBlank(lines[j]) && lines[j].includes('|')) j++;
+      blocks.push({ type: 'table', from: i, to: j });
+      i = j;
+      continue;
+    }
+
+    if (LIST_ITEM_RE.test(line)) {
+      const baseIndent = LIST_ITEM_RE.exec(line)[1].length;
+      const items = [];
+      let j = i;
+      let itemStart = i;
+      while (j < lines.length) {
+        const l = lines[j];
+        const item = LIST_ITEM_RE.exec(l);
+        if (item && item[1].length <= baseIndent) {
+          if (j > itemStart) items.push({ from: itemStart, to: j });
+          itemStart = j;
+          j++;
+          continue;
+        }
+        if (isBlank(l)) {
+          // A blank line continues the list only if the next line is indented or another item
+          const next = lines[j + 1];
+          if (next !== undefined && (LIST_ITEM_RE.test(next) || /^\s{2,}\S/.test(next))) { j++; continue; }
+          break;
+        }
+        if (/^\s+\S/.test(l)) { j++; continue; }
+        if (HEADING_RE.test(l) || FENCE_RE.test(l)) break;
+        // Lazy continuation of the previous item
+        j++;
+      }
+      items.push({ from: itemStart, to: j });
+      blocks.push({ type: 'list', from: i, to: j, items });
+      i = j;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < lines.length && !isBlank(lines[j]) && !HEADING_RE.test(lines[j]) && !FENCE_RE.test(lines[j]) && !LIST_ITEM_RE.test(lines[j])) {
+      if (j + 1 < lines.length && SETEXT_RE.test(lines[j + 1]) && !lines[j].includes('|')) break;
+      j++;
+    }
+    blocks.push({ type: 'paragraph', from: i, to: j });
+    i = j;
+  }
+  return blocks;
+};
+
+class MarkdownSplitter {
+  constructor({ maxSize = 1000, measure = (str) => str.length, fallbackSplit = null, prependHeadingPath = false } = {}) {
+    this.maxSize = Math.max(1, maxSize);
+    this.measure = measure;
+    this.fallbackSplit = fallbackSplit;
+    this.prependHeadingPath = prependHeadingPath;
+  }
+
+  split(text) {
+    const lines = text.split('\n');
+    const slice = (from, to) => lines.slice(from, to).join('\n');
+    const blocks = parseBlocks(lines);
+    const chunks = [];
+    const path = [];
+    let current = [];
+    let size = 0;
+
+    const crumb = () => path.filter(Boolean).join(' > ');
+    const emit = (body, heading) => {
+      const trimmed = body.trim();
+      if (!trimmed) return;
+      const headingPath = heading.path;
+      chunks.push({
+        text: trimmed,
+        embedText: this.prependHeadingPath && headingPath ? `${headingPath}\n\n${trimmed}` : undefined,
+        metadata: { headingPath: headingPath || undefined, section: heading.title || undefined }
+      });
+    };
+    let heading = { path: '', title: null };
+    const flush = () => {
+      // Cut from the source so the chunk text can be located in the document
+      if (current.length) emit(slice(current[0].from, current[current.length - 1].to), heading);
+      current = [];
+      size = 0;
+    };
+
+    for (const block of blocks) {
+      if (block.type === 'heading') {
+        // Consecutive headings (e.g. "# Install" then "## Linux") open a single chunk
+        if (current.some(b => b.type !== 'heading')) flush();
+        path.length = block.level - 1;
+        path[block.level - 1] = block.title;
+        heading = { path: crumb(), title: block.title };
+        current.push(block);
+        size += this.measure(slice(block.from, block.to)) + 2;
+        continue;
+      }
+      const blockText = slice(block.from, block.to);
+      const blockSize = this.measure(blockText);
+      if (size + blockSize <= this.maxSize) {
+        current.push(block);
+        size += blockSize + 2;
+        continue;
+      }
+      // Keep leading headings attached to the first piece of an oversized body
+      const onlyHeadings = current.length > 0 && current.every(b => b.type === 'heading');
+      if (!onlyHeadings) flush();
+      if (size + blockSize <= this.maxSize) {
+        current.push(block);
+        size += blockSize + 2;
+        continue;
+      }
+      const prefix = onlyHeadings ? `${slice(current[0].from, block.from)}\n` : '';
+      current = [];
+      size = 0;
+      this._splitOversized(block, lines, prefix).forEach(piece => emit(piece, heading));
+    }
+    flush();
+    return chunks;
+  }
+
+  // Code fences and tables stay whole; lists split between items; prose falls back to the recursive splitter
+  _splitOversized(block, lines, prefix) {
+    const slice = (from, to) => lines.slice(from, to).join('\n');
+    if (block.type === 'code' || block.type === 'table') return [prefix + slice(block.from, block.to)];
+    if (block.type === 'list') {
+      // Runs of whole items, cut from the source with their original spacing
+      const pieces = [];
+      let run = null;
+      const text = (r) => (r.from === block.items[0].from ? prefix : '') + slice(r.from, r.to).replace(/\n+$/, '');
+      for (const item of block.items) {
+        const next = run ? { from: run.from, to: item.to } : { from: item.from, to: item.to };
+        if (run && this.measure(text(next)) > this.maxSize) {
+          pieces.push(text(run));
+          run = { from: item.from, to: item.to };
+        } else {
+          run = next;
+        }
+      }
+      if (run) pieces.push(text(run));
+      return pieces.filter(p => p.trim());
+    }
+    const body = slice(block.from, block.to);
+    const parts = this.fallbackSplit ? this.fallbackSplit(body) : [body];
+    if (prefix && parts.length) parts[0] = prefix + parts[0];
+    return parts;
+  }
+}
+
+const splitMarkdown = (text, options) => new MarkdownSplitter(options).split(text);
+
+module.exports = { MarkdownSplitter, splitMarkdown, parseBlocks };
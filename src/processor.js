@@ -1,96 +1,163 @@
 const fs = require('fs');
 const path = require('path');
-const pdf = require('pdf-parse');
-const mammoth = require('mammoth');
-const xlsx = require('xlsx');
 const { ChunkingStrategy } = require('./config');
+const { createDefaultLoaderRegistry } = require('./loaders');
+const { splitCode } = require('./code_splitter');
+const { splitMarkdown } = require('./markdown_splitter');
+const { createTokenizer } = require('./tokenizer');
+
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+const DEFAULT_SEPARATORS = ['\n\n', '\n', ' ', ''];
 
 class DocumentProcessor {
-  constructor(config, agenticLlm) {
+  constructor(config, agenticLlm, loaders = null, tokenizer = null) {
     this.config = config;
     this.agenticLlm = agenticLlm;
-    this._lastPages = null;
+    this.loaders = loaders || createDefaultLoaderRegistry();
+    this.tokenizer = tokenizer;
+    this.embedder = null;
+  }
+
+  // Size of a piece of text in the unit chunkSize/chunkOverlap are expressed in
+  measure(text) {
+    if (this.config.sizeUnit !== 'tokens') return text ? text.length : 0;
+    if (!this.tokenizer) this.tokenizer = createTokenizer();
+    return this.tokenizer.count(text);
   }
 
   async loadDocument(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
     const buffer = await fs.promises.readFile(filePath);
-    if (ext === '.pdf') {
-      let PDFParse = pdf.PDFParse;
-      if (!PDFParse && pdf.default && pdf.default.PDFParse) {
-        PDFParse = pdf.default.PDFParse;
-      }
+    return this.loadBuffer(buffer, { filename: filePath });
+  }
 
-      if (PDFParse) {
-        // Handle pdf-parse v2
-        const parser = new PDFParse({ data: buffer });
-        const info = await parser.getInfo();
-        const total = info.total;
-        const pages = [];
-        let fullText = '';
-
-        for (let i = 1; i <= total; i++) {
-          const pageRes = await parser.getText({ partial: [i] });
-          const pageText = pageRes.text || '';
-          pages.push(pageText);
-          fullText += pageText + '\n'; 
-        }
-        await parser.destroy();
-        this._lastPages = pages;
-        return fullText;
-      }
+  async loadBuffer(buffer, { filename = null, mimeType = null } = {}) {
+    const loader = this.loaders.resolve({ filePath: filename, mimeType, buffer });
+    if (!loader) {
+      const ext = filename ? path.extname(filename).toLowerCase() : '';
+      throw new Error(`Unsupported file: ${ext || mimeType || 'unknown'}`);
+    }
+    const out = await loader.load(buffer, { filePath: filename, mimeType, processor: this });
+    const doc = typeof out === 'string' ? { text: out } : (out || {});
+    return {
+      text: typeof doc.text === 'string' ? doc.text : '',
+      pages: Array.isArray(doc.pages) ? doc.pages : null,
+      sections: Array.isArray(doc.sections) ? doc.sections : null,
+      chunks: Array.isArray(doc.chunks) && doc.chunks.length ? doc.chunks : null,
+      metadata: doc.metadata || {}
+    };
+  }
 
-      // Fallback for v1 (or if PDFParse class not found)
-      let pdfFunc = pdf;
-      if (typeof pdfFunc !== 'function' && pdfFunc.default) {
-        pdfFunc = pdfFunc.default;
-      }
-      
-      const pages = [];
-      const res = await pdfFunc(buffer, {
-        pagerender: pageData => pageData.getTextContent().then(tc => {
-          const s = tc.items.map(it => it.str).join(' ');
-          pages.push(s);
-          return s;
-        })
-      });
-      this._lastPages = pages;
-      return res.text;
+  // Loaders that understand record boundaries (rows, entries) hand back their own chunks
+  async processDocument(doc) {
+    if (!Array.isArray(doc.chunks) && this.config.strategy === ChunkingStrategy.CODE && doc.metadata && doc.metadata.language) {
+      doc.chunks = this.codeSplit(doc.text, doc.metadata.language);
     }
-    if (ext === '.docx') return (await mammoth.extractRawText({ buffer })).value;
-    if (['.txt','.md'].includes(ext)) return buffer.toString('utf-8');
-    if (['.xlsx','.xls'].includes(ext)) {
-        const wb = xlsx.read(buffer, { type: 'buffer' });
-        return xlsx.utils.sheet_to_csv(wb.Sheets[wb.SheetNames[0]]);
+    if (!Array.isArray(doc.chunks) && this.config.strategy === ChunkingStrategy.MARKDOWN && doc.metadata && doc.metadata.format === 'markdown') {
+      doc.chunks = this.markdownSplit(doc.text);
     }
-    throw new Error(`Unsupported file: ${ext}`);
+    if (Array.isArray(doc.chunks)) return doc.chunks.map(c => c.text);
+    return this.process(doc.text);
   }
 
   async process(text) {
-    return this.config.strategy === ChunkingStrategy.AGENTIC 
-      ? this.agenticSplit(text) 
-      : this.recursiveSplit(text);  
+    if (this.config.strategy === ChunkingStrategy.AGENTIC) return this.agenticSplit(text);
+    if (this.config.strategy === ChunkingStrategy.SEMANTIC) return this.semanticSplit(text);
+    return this.recursiveSplit(text);
+  }
+
+  codeSplit(text, language) {
+    return splitCode(text, language, this._chunkSize(), (str) => this.measure(str));
+  }
+
+  markdownSplit(text) {
+    return splitMarkdown(text, {
+      maxSize: this._chunkSize(),
+      measure: (str) => this.measure(str),
+      fallbackSplit: (str) => this.recursiveSplit(str),
+      prependHeadingPath: !!(this.config.markdown && this.config.markdown.prependHeadingPath)
+    });
   }
 
   recursiveSplit(text) {
-    const chunks = [];
-    const sizeChars = Math.max(500, this.config.chunkSize || 1000);
-    const baseOverlap = Math.max(0, this.config.chunkOverlap || 200);
-    const sentences = text.split(/(?<=[.!?])\s+/);
-    let current = '';
-    for (const s of sentences) {
-      const candidate = current.length ? current + ' ' + s : s;
-      if (candidate.length >= sizeChars) {
-        const entropy = this._entropy(candidate);
-        const overlap = Math.min(baseOverlap + Math.floor(entropy * 50), Math.floor(sizeChars / 3));
-        chunks.push(candidate);
-        // create overlap window from end of candidate
-        current = candidate.slice(Math.max(0, candidate.length - overlap));
-      } else {
-        current = candidate;
+    const separators = Array.isArray(this.config.separators) && this.config.separators.length
+      ? this.config.separators
+      : DEFAULT_SEPARATORS;
+    return this._splitText(text, separators).map(c => c.trim()).filter(Boolean);
+  }
+
+  // Splits a parent chunk into smaller children with the same separators and size unit
+  childSplit(text, chunkSize, chunkOverlap) {
+    const child = new DocumentProcessor({ ...this.config, chunkSize, chunkOverlap, overlapMode: 'fixed' }, null, this.loaders, this.tokenizer);
+    return child.recursiveSplit(text);
+  }
+
+  _chunkSize() {
+    return Math.max(1, this.config.chunkSize || DEFAULT_CHUNK_SIZE);
+  }
+
+  _overlapFor(chunk) {
+    const size = this._chunkSize();
+    const base = Math.max(0, typeof this.config.chunkOverlap === 'number' ? this.config.chunkOverlap : DEFAULT_CHUNK_OVERLAP);
+    if (this.config.overlapMode !== 'entropy') return Math.min(base, size - 1);
+    // Denser (higher entropy) text gets a wider overlap window, capped at a third of the chunk
+    return Math.min(base + Math.floor(this._entropy(chunk) * 50), Math.floor(size / 3));
+  }
+
+  // Walks the separator hierarchy: split on the first separator present, recurse into pieces still too large
+  _splitText(text, separators) {
+    const size = this._chunkSize();
+    let sep = separators[separators.length - 1];
+    let rest = [];
+    for (let i = 0; i < separators.length; i++) {
+      if (separators[i] === '' || text.includes(separators[i])) {
+        sep = separators[i];
+        rest = separators.slice(i + 1);
+        break;
+      }
+    }
+    const splits = (sep === '' ? Array.from(text) : text.split(sep)).filter(s => s !== '');
+    const out = [];
+    let good = [];
+    for (const piece of splits) {
+      if (this.measure(piece) <= size) {
+        good.push(piece);
+        continue;
       }
+      if (good.length) { out.push(...this._mergeSplits(good, sep)); good = []; }
+      // Once the configured separators run out, fall back to a hard character cut so chunkSize holds
+      out.push(...this._splitText(piece, rest.length ? rest : ['']));
     }
-    if (current) chunks.push(current);
+    if (good.length) out.push(...this._mergeSplits(good, sep));
+    return out;
+  }
+
+  // Greedily packs pieces up to chunkSize, carrying the tail of each chunk into the next as overlap
+  _mergeSplits(splits, sep) {
+    const size = this._chunkSize();
+    const sepLen = this.measure(sep);
+    const lens = splits.map(piece => this.measure(piece));
+    const chunks = [];
+    const current = [];
+    const currentLens = [];
+    let total = 0;
+    splits.forEach((piece, i) => {
+      const len = lens[i];
+      if (total + (current.length ? sepLen : 0) + len > size && current.length) {
+        const chunk = current.join(sep);
+        chunks.push(chunk);
+        const overlap = this._overlapFor(chunk);
+        while (current.length && (total > overlap || total + (current.length ? sepLen : 0) + len > size)) {
+          total -= currentLens[0] + (current.length > 1 ? sepLen : 0);
+          current.shift();
+          currentLens.shift();
+        }
+      }
+      total += (current.length ? sepLen : 0) + len;
+      current.push(piece);
+      currentLens.push(len);
+    });
+    if (current.length) chunks.push(current.join(sep));
     return chunks;
   }
 
@@ -133,43 +200,100 @@ class DocumentProcessor {
     return finalChunks;
   }
 
-  computeChunkMetadata(filePath, rawText, chunks) {
+  async semanticSplit(text) {
+    if (!this.embedder) throw new Error("Semantic chunking requires an embedder.");
+    const opts = this.config.semantic || {};
+    const sentences = [];
+    const re = /[^.!?\n]+(?:[.!?]+|\n+|$)/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      if (!m[0]) { re.lastIndex++; continue; }
+      if (m[0].trim()) sentences.push({ start: m.index, end: m.index + m[0].length });
+    }
+    if (sentences.length < 3) return this.recursiveSplit(text);
+
+    const buffer = Math.max(0, Math.floor(opts.bufferSize ?? 1));
+    const windows = sentences.map((_, i) => {
+      const from = sentences[Math.max(0, i - buffer)].start;
+      const to = sentences[Math.min(sentences.length - 1, i + buffer)].end;
+      return text.slice(from, to).trim();
+    });
+    const vectors = await this.embedder.embedDocuments(windows);
+    const sims = [];
+    for (let i = 0; i < vectors.length - 1; i++) sims.push(this._cosine(vectors[i], vectors[i + 1]));
+    const threshold = this._percentile(sims, opts.breakpointPercentile ?? 5);
+
+    const maxSim = Math.max(...sims);
+    const groups = [];
+    let startIdx = 0;
+    sims.forEach((sim, i) => {
+      if (sim <= threshold && sim < maxSim) { groups.push([startIdx, i]); startIdx = i + 1; }
+    });
+    groups.push([startIdx, sentences.length - 1]);
+
+    const size = this._chunkSize();
+    const chunks = [];
+    for (const [a, b] of groups) {
+      const chunk = text.slice(sentences[a].start, sentences[b].end).trim();
+      if (!chunk) continue;
+      // Topic groups larger than chunkSize are still cut to fit the embedding model
+      if (this.measure(chunk) > size) chunks.push(...this.recursiveSplit(chunk));
+      else chunks.push(chunk);
+    }
+    return chunks;
+  }
+
+  _cosine(a, b) {
+    let dot = 0; let na = 0; let nb = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+    return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+  }
+
+  _percentile(values, p) {
+    if (!values.length) return 0;
+    const sorted = [...values].sort((x, y) => x - y);
+    const idx = (Math.max(0, Math.min(100, p)) / 100) * (sorted.length - 1);
+    const lo = Math.floor(idx);
+    const hi = Math.ceil(idx);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+  }
+
+  computeChunkMetadata(filePath, rawText, chunks, structure = {}) {
     const ext = path.extname(filePath).toLowerCase();
     const title = path.basename(filePath);
     const positions = [];
-    let cursor = 0;
+    // Overlapping chunks begin before the previous one ends, so search on from just past its start;
+    // a chunk not found verbatim is placed after the previous one rather than at the top of the file
+    let from = 0;
+    let prevEnd = 0;
     for (const c of chunks) {
-      const idx = rawText.indexOf(c, cursor);
-      const start = idx >= 0 ? idx : 0;
+      const idx = rawText.indexOf(c, from);
+      const start = idx >= 0 ? idx : Math.min(prevEnd, rawText.length);
       const end = start + c.length;
       positions.push({ start, end });
-      cursor = end;
+      if (idx >= 0) from = idx + 1;
+      prevEnd = end;
     }
     let pagesMeta = null;
-    if (ext === '.pdf' && Array.isArray(this._lastPages)) {
-      const lens = this._lastPages.map(p => p.length);
+    if (Array.isArray(structure.pages)) {
+      const lens = structure.pages.map(p => p.length);
       const cum = [];
       let acc = 0;
       for (const l of lens) { acc += l; cum.push(acc); }
       pagesMeta = positions.map(pos => {
-        const pf = cum.findIndex(x => x >= pos.start) + 1;
+        // A chunk starting exactly where a page ends belongs to the next page
+        const pf = cum.findIndex(x => x > pos.start) + 1;
         const pt = cum.findIndex(x => x >= pos.end) + 1;
         return { pageFrom: pf || 1, pageTo: pt || pf || 1 };
       });
     }
     let sections = null;
-    if (ext === '.md' || ext === '.txt') {
-      const lines = rawText.split(/\n/);
-      let offset = 0;
-      const heads = [];
-      for (const ln of lines) {
-        if (/^#{1,6}\s+/.test(ln)) heads.push({ pos: offset, text: ln.replace(/^#{1,6}\s+/, '') });
-        offset += ln.length + 1;
-      }
+    if (Array.isArray(structure.sections)) {
+      const heads = structure.sections;
       sections = positions.map(pos => {
-        const candidates = heads.filter(h => h.pos <= pos.start);
+        const candidates = heads.filter(h => h.offset <= pos.start);
         const h = candidates.length ? candidates[candidates.length - 1] : null;
-        return h ? h.text : null;
+        return h ? h.title : null;
       });
     }
     return positions.map((pos, i) => ({
@@ -178,7 +302,9 @@ class DocumentProcessor {
       chunkIndex: i,
       pageFrom: pagesMeta ? pagesMeta[i].pageFrom : undefined,
       pageTo: pagesMeta ? pagesMeta[i].pageTo : undefined,
-      section: sections ? sections[i] : undefined
+      section: sections ? sections[i] : undefined,
+      ...(structure.metadata || {}),
+      ...(Array.isArray(structure.chunks) && structure.chunks[i] ? structure.chunks[i].metadata : {})
     }));
   }
 }
@@ -0,0 +1,80 @@
+const DEFAULT_CLUSTER_SIZE = 6;
+const DEFAULT_MAX_LEVELS = 3;
+const KMEANS_ITERATIONS = 10;
+const MAX_SUMMARY_INPUT = 12000;
+
+const cosine = (a, b) => {
+  let dot = 0; let na = 0; let nb = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+};
+
+// Spherical k-means with evenly spaced seeds so the same file always yields the same tree
+const kmeans = (vectors, k) => {
+  const n = vectors.length;
+  if (k <= 1 || n <= k) return k <= 1 ? [vectors.map((_, i) => i)] : vectors.map((_, i) => [i]);
+  let centroids = Array.from({ length: k }, (_, c) => vectors[Math.floor((c * n) / k)]);
+  let assign = new Array(n).fill(-1);
+  for (let iter = 0; iter < KMEANS_ITERATIONS; iter++) {
+    const next = vectors.map(v => {
+      let best = 0; let bestSim = -Infinity;
+      centroids.forEach((c, j) => { const s = cosine(v, c); if (s > bestSim) { bestSim = s; best = j; } });
+      return best;
+    });
+    if (next.every((a, i) => a === assign[i])) break;
+    assign = next;
+    centroids = centroids.map((c, j) => {
+      const members = vectors.filter((_, i) => assign[i] === j);
+      if (!members.length) return c;
+      return c.map((_, d) => members.reduce((acc, m) => acc + m[d], 0) / members.length);
+    });
+  }
+  const clusters = Array.from({ length: k }, () => []);
+  assign.forEach((j, i) => clusters[j].push(i));
+  return clusters.filter(c => c.length);
+};
+
+// Builds summary levels over already embedded leaf documents: cluster, summarize each cluster, embed, repeat
+class SummaryTreeBuilder {
+  constructor({ summarize, embed, makeId, clusterSize = DEFAULT_CLUSTER_SIZE, maxLevels = DEFAULT_MAX_LEVELS }) {
+    this.summarize = summarize;
+    this.embed = embed;
+    this.makeId = makeId;
+    this.clusterSize = Math.max(2, clusterSize);
+    this.maxLevels = Math.max(1, maxLevels);
+  }
+
+  // Returns the summary nodes; leaves are annotated in place with level/treeParentId/treeRoot
+  async build(leaves) {
+    leaves.forEach(d => { d.metadata.level = 0; });
+    const summaries = [];
+    let nodes = leaves;
+    for (let level = 1; level <= this.maxLevels && nodes.length > 1; level++) {
+      const k = Math.ceil(nodes.length / this.clusterSize);
+      const clusters = kmeans(nodes.map(d => d.embedding), k).map(c => c.sort((a, b) => a - b));
+      // A level that cannot merge anything further would only duplicate its children
+      if (clusters.length >= nodes.length) break;
+      // Singleton clusters are carried up unchanged rather than summarized on their own
+      const merged = clusters.filter(c => c.length > 1);
+      const texts = [];
+      for (const c of merged) texts.push(await this.summarize(c.map(i => nodes[i].content).join('\n\n').slice(0, MAX_SUMMARY_INPUT)));
+      const embeddings = await this.embed(texts);
+      const created = merged.map((c, j) => {
+        const id = this.makeId(level, j);
+        c.forEach(i => { nodes[i].metadata.treeParentId = id; });
+        return {
+          id,
+          content: texts[j],
+          embedding: embeddings[j],
+          metadata: { level, childIds: c.map(i => nodes[i].id), summaryIndex: j }
+        };
+      });
+      summaries.push(...created);
+      nodes = [...created, ...clusters.filter(c => c.length === 1).map(c => nodes[c[0]])];
+    }
+    nodes.forEach(d => { d.metadata.treeRoot = true; });
+    return summaries;
+  }
+}
+
+module.exports = { SummaryTreeBuilder, kmeans };
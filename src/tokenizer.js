@@ -0,0 +1,63 @@
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
+// Approximates BPE counts without a vocabulary: CJK characters are roughly one token each,
+// words cost more the longer they are and punctuation/symbols are counted individually.
+class HeuristicTokenizer {
+  constructor() {
+    this.name = 'heuristic';
+  }
+
+  count(text) {
+    if (!text) return 0;
+    const str = String(text);
+    const cjk = (str.match(CJK_RE) || []).length;
+    const rest = str.replace(CJK_RE, ' ');
+    let n = cjk;
+    for (const word of rest.match(/[A-Za-z0-9\u00c0-\u024f]+/g) || []) n += Math.max(1, Math.ceil(word.length / 4));
+    n += (rest.match(/[^\sA-Za-z0-9\u00c0-\u024f]/g) || []).length;
+    return n;
+  }
+}
+
+class TiktokenTokenizer {
+  constructor(encodingName = 'cl100k_base') {
+    const { getEncoding } = require('js-tiktoken');
+    this.name = encodingName;
+    this._encoding = getEncoding(encodingName);
+  }
+
+  count(text) {
+    if (!text) return 0;
+    return this._encoding.encode(String(text), [], []).length;
+  }
+}
+
+const encodingForModel = (modelName) => {
+  const m = String(modelName || '').toLowerCase().split('/').pop();
+  if (/^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4|chatgpt-4o)/.test(m)) return 'o200k_base';
+  if (/^(gpt-4|gpt-3\.5|text-embedding-3|text-embedding-ada)/.test(m)) return 'cl100k_base';
+  if (/^(text-davinci|davinci|curie|babbage|ada)/.test(m)) return 'p50k_base';
+  // No public vocabulary for other providers; cl100k is a closer approximation than characters
+  return 'cl100k_base';
+};
+
+const encodingCache = new Map();
+
+const createTokenizer = (config = {}, modelName = null) => {
+  const cfg = config || {};
+  if (cfg.instance && typeof cfg.instance.count === 'function') return cfg.instance;
+  if (cfg.instance && typeof cfg.instance.encode === 'function') {
+    return { name: 'custom', count: (text) => (text ? cfg.instance.encode(String(text)).length : 0) };
+  }
+  if (cfg.type === 'heuristic') return new HeuristicTokenizer();
+  const encoding = cfg.encoding || encodingForModel(modelName);
+  try {
+    if (!encodingCache.has(encoding)) encodingCache.set(encoding, new TiktokenTokenizer(encoding));
+    return encodingCache.get(encoding);
+  } catch (e) {
+    if (cfg.type === 'tiktoken') throw e;
+    return new HeuristicTokenizer();
+  }
+};
+
+module.exports = { HeuristicTokenizer, TiktokenTokenizer, createTokenizer, encodingForModel };
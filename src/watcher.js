@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { archiveExtension } = require('./archive');
+const { implementsMethod } = require('./interfaces');
+
+const DEFAULT_DEBOUNCE_MS = 500;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const IGNORE_FILE = '.vectraignore';
+
+// Keeps a directory indexed: filesystem events are debounced into one pass that checks the paths
+// they named against the files seen so far and ingests, re-ingests or deletes accordingly.
+class DirectoryWatcher {
+  constructor(client, root, options = {}) {
+    this.client = client;
+    this.root = path.resolve(root);
+    this.debounceMs = typeof options.debounceMs === 'number' ? options.debounceMs : DEFAULT_DEBOUNCE_MS;
+    this.pollIntervalMs = options.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.initialScan = options.initialScan !== false;
+    this.ingestOptions = { metadata: options.metadata, metadataFn: options.metadataFn };
+    // Changed files must replace their old chunks; sync mode already does that incrementally
+    const mode = client._ingestionMode();
+    this.changeMode = mode === 'sync' ? 'sync' : 'replace';
+    this.initialMode = mode === 'sync' ? 'sync' : mode;
+    this.known = new Map();
+    this.pending = new Set();
+    this._timer = null;
+    this._running = null;
+    this._rerun = false;
+    this._fullPass = false;
+    this._closed = false;
+    this._fsWatcher = null;
+    this._poller = null;
+  }
+
+  async start() {
+    // Every pass may delete, so a store that cannot would fail on each of them
+    if (!implementsMethod(this.client.vectorStore, 'deleteDocuments')) {
+      throw new Error('watch requires a vector store that supports deleteDocuments');
+    }
+    const { files } = await this.client._collectFiles(this.root);
+    for (const file of files) {
+      try {
+        const stats = await fs.promises.stat(file);
+        const validation = await this.client._validateFile(file, stats);
+        if (this.initialScan && await this.client._isSupportedFile(file)) {
+          const result = await this.client.ingestDocuments(file, { ...this.ingestOptions, mode: this.initialMode });
+          this._emit(result && result.status === 'skipped' ? 'unchanged' : 'add', file, { result });
+        }
+        this.known.set(file, { sha256: validation.fileSHA256, size: stats.size, mtimeMs: stats.mtimeMs });
+      } catch (err) {
+        this._emit('error', file, { error: err });
+      }
+    }
+    if (this.initialScan) {
+      // Files deleted while nothing was watching, whatever the ingestion mode
+      try {
+        for (const file of await this.client._removeDeletedFiles(this.root, { list: true })) this._emit('unlink', file);
+      } catch (err) {
+        this._emit('error', this.root, { error: err });
+      }
+    }
+    try {
+      this._fsWatcher = fs.watch(this.root, { recursive: true }, (_, filename) => {
+        if (filename) this.pending.add(path.join(this.root, String(filename)));
+        else this._fullPass = true;
+        this._schedule();
+      });
+      this._fsWatcher.on('error', (err) => this._emit('error', this.root, { error: err }));
+    } catch (_) {
+      // Recursive fs.watch is unavailable on some platforms; rescan periodically instead
+      this._poller = setInterval(() => this._schedule(), this.pollIntervalMs);
+    }
+    this._emit('ready', this.root, { files: this.known.size });
+    return this;
+  }
+
+  async close() {
+    this._closed = true;
+    if (this._timer) clearTimeout(this._timer);
+    if (this._poller) clearInterval(this._poller);
+    if (this._fsWatcher) this._fsWatcher.close();
+    if (this._running) await this._running;
+  }
+
+  _schedule() {
+    if (this._closed) return;
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush();
+    }, this.debounceMs);
+  }
+
+  // Runs one reconciliation pass; events arriving meanwhile trigger another pass afterwards
+  async flush() {
+    if (this._running) { this._rerun = true; return this._running; }
+    this._running = (async () => {
+      do {
+        this._rerun = false;
+        const pending = this.pending;
+        this.pending = new Set();
+        await this._reconcile(pending);
+      } while (this._rerun && !this._closed);
+    })();
+    try { await this._running; } finally { this._running = null; }
+  }
+
+  // Only the paths events named are looked at; polling, unnamed events and .vectraignore edits
+  // (which can change what any path matches) fall back to rescanning the tree
+  async _reconcile(pending) {
+    const full = !this._fsWatcher || this._fullPass || [...pending].some(p => path.basename(p) === IGNORE_FILE);
+    this._fullPass = false;
+    if (full) return this._rescan(pending);
+    for (const p of pending) {
+      if (this._closed) return;
+      await this._reconcilePath(p);
+    }
+  }
+
+  async _rescan(pending) {
+    const { files } = await this.client._collectFiles(this.root);
+    const current = new Set(files);
+    for (const file of [...this.known.keys()]) {
+      // Deleted, renamed away or newly excluded by include/exclude/.vectraignore
+      if (!current.has(file)) await this._unlink(file);
+    }
+    for (const file of files) {
+      if (this._closed) return;
+      await this._syncFile(file, pending.has(file));
+    }
+  }
+
+  async _reconcilePath(p) {
+    let stats = null;
+    try { stats = await fs.promises.stat(p); } catch (_) {}
+    if (!stats) {
+      // A removed directory takes every known file below it
+      for (const file of [...this.known.keys()]) {
+        if (file === p || file.startsWith(p + path.sep)) await this._unlink(file);
+      }
+      return;
+    }
+    if (stats.isDirectory()) {
+      // Created or moved in: its files may never get events of their own
+      for (const file of await this._listFiles(p)) {
+        if (await this.client._isCollectable(this.root, file)) await this._syncFile(file, true);
+      }
+      return;
+    }
+    if (!stats.isFile()) return;
+    if (await this.client._isCollectable(this.root, p)) await this._syncFile(p, true);
+    else if (this.known.has(p)) await this._unlink(p);
+  }
+
+  async _listFiles(dir) {
+    const out = [];
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) out.push(...await this._listFiles(full));
+      else if (entry.isFile()) out.push(full);
+    }
+    return out;
+  }
+
+  async _unlink(file) {
+    try {
+      await this.client.deleteDocuments({ filter: archiveExtension(file) ? { archivePath: file } : { absolutePath: file } });
+      this.known.delete(file);
+      this._emit('unlink', file);
+    } catch (err) {
+      this._emit('error', file, { error: err });
+    }
+  }
+
+  async _syncFile(file, force) {
+    try {
+      const stats = await fs.promises.stat(file);
+      const prev = this.known.get(file);
+      if (prev && !force && prev.size === stats.size && prev.mtimeMs === stats.mtimeMs) return;
+      const validation = await this.client._validateFile(file, stats);
+      if (prev && prev.sha256 === validation.fileSHA256) {
+        // Touched or rewritten with identical bytes
+        this.known.set(file, { ...prev, mtimeMs: stats.mtimeMs });
+        return;
+      }
+      const fingerprint = { sha256: validation.fileSHA256, size: stats.size, mtimeMs: stats.mtimeMs };
+      if (!(await this.client._isSupportedFile(file))) { this.known.set(file, fingerprint); return; }
+      const result = await this.client.ingestDocuments(file, { ...this.ingestOptions, mode: prev ? this.changeMode : this.initialMode });
+      // Recorded only after a successful ingest so failed files are retried on the next pass
+      this.known.set(file, fingerprint);
+      this._emit(prev ? 'change' : 'add', file, { result });
+    } catch (err) {
+      // Deleted between the event and this pass; the event for the removal handles it
+      if (err && err.code === 'ENOENT') return;
+      this._emit('error', file, { error: err });
+    }
+  }
+
+  _emit(action, filePath, extra = {}) {
+    this.client.trigger('onWatchEvent', { action, filePath, ...extra });
+  }
+}
+
+module.exports = { DirectoryWatcher };
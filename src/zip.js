@@ -0,0 +1,113 @@
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT = 0xffff;
+// Container formats (office, epub) get the same bomb limits as archive ingestion
+const DEFAULT_LIMITS = { maxEntryBytes: 100 * 1024 * 1024, maxTotalBytes: 1024 * 1024 * 1024, maxCompressionRatio: 100 };
+// Markup compresses very well; the ratio only matters once a part is big enough to hurt
+const RATIO_FLOOR = 1024 * 1024;
+
+// Minimal ZIP reader over an in-memory buffer (stored and deflated entries, no ZIP64 or encryption).
+// Office formats and EPUB are ZIP containers, so this is all their loaders need.
+const readZip = (buffer) => {
+  let eocd = -1;
+  for (let i = buffer.length - EOCD_MIN_SIZE; i >= Math.max(0, buffer.length - EOCD_MIN_SIZE - MAX_COMMENT); i--) {
+    if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === 0xffffffff || count === 0xffff) throw new Error('ZIP64 archives are not supported');
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error('Corrupt zip central directory');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLen = buffer.readUInt16LE(offset + 28);
+    const extraLen = buffer.readUInt16LE(offset + 30);
+    const commentLen = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    // Bit 11 marks UTF-8 names; older tools wrote CP437, which is ASCII for the names we care about
+    const name = buffer.toString(flags & 0x800 ? 'utf-8' : 'latin1', offset + 46, offset + 46 + nameLen);
+    entries.push({
+      name,
+      size,
+      compressedSize,
+      method,
+      encrypted: !!(flags & 0x1),
+      isDirectory: name.endsWith('/'),
+      read: (options = {}) => readEntry(buffer, { name, method, flags, compressedSize, size, localOffset }, options)
+    });
+    offset += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+};
+
+// maxBytes caps the inflated size regardless of what the header claims
+const readEntry = (buffer, entry, { maxBytes = Infinity } = {}) => {
+  if (entry.flags & 0x1) throw new Error(`Encrypted zip entry: ${entry.name}`);
+  const at = entry.localOffset;
+  if (at + 30 > buffer.length || buffer.readUInt32LE(at) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry: ${entry.name}`);
+  const start = at + 30 + buffer.readUInt16LE(at + 26) + buffer.readUInt16LE(at + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) {
+    if (data.length > maxBytes) throw new Error(`Zip entry exceeds ${maxBytes} bytes: ${entry.name}`);
+    return data;
+  }
+  if (entry.method !== 8) throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+  try {
+    return zlib.inflateRawSync(data, Number.isFinite(maxBytes) ? { maxOutputLength: Math.max(1, maxBytes) } : {});
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Zip entry exceeds ${maxBytes} bytes: ${entry.name}`);
+    throw err;
+  }
+};
+
+const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+
+const ratioExceeded = (size, compressedSize, maxRatio) => size > RATIO_FLOOR && size / Math.max(1, compressedSize) > maxRatio;
+
+// Checks declared sizes against the limits before a third-party parser inflates the package itself
+const assertZipWithin = (buffer, limits = {}) => {
+  const { maxEntryBytes, maxTotalBytes, maxCompressionRatio } = { ...DEFAULT_LIMITS, ...limits };
+  let total = 0;
+  for (const e of readZip(buffer)) {
+    if (e.size > maxEntryBytes) throw new Error(`Zip entry exceeds ${maxEntryBytes} bytes: ${e.name}`);
+    if (ratioExceeded(e.size, e.compressedSize, maxCompressionRatio)) throw new Error(`Zip entry compression ratio exceeds ${maxCompressionRatio}: ${e.name}`);
+    total += e.size;
+    if (total > maxTotalBytes) throw new Error(`Zip contents exceed ${maxTotalBytes} bytes`);
+  }
+};
+
+// Name -> entry lookup for container formats that address parts by path. Reads are capped by the
+// limits regardless of what the headers claim, and each part is inflated once.
+const zipIndex = (buffer, limits = {}) => {
+  const { maxEntryBytes, maxTotalBytes, maxCompressionRatio } = { ...DEFAULT_LIMITS, ...limits };
+  const map = new Map();
+  for (const e of readZip(buffer)) map.set(e.name, e);
+  const texts = new Map();
+  let total = 0;
+  const text = (name) => {
+    if (!map.has(name)) return null;
+    if (texts.has(name)) return texts.get(name);
+    const e = map.get(name);
+    if (e.size > maxEntryBytes) throw new Error(`Zip entry exceeds ${maxEntryBytes} bytes: ${name}`);
+    const data = e.read({ maxBytes: Math.min(maxEntryBytes, maxTotalBytes - total) });
+    if (ratioExceeded(data.length, e.compressedSize, maxCompressionRatio)) throw new Error(`Zip entry compression ratio exceeds ${maxCompressionRatio}: ${name}`);
+    total += data.length;
+    texts.set(name, data.toString('utf-8'));
+    return texts.get(name);
+  };
+  return {
+    has: (name) => map.has(name),
+    names: () => Array.from(map.keys()),
+    text
+  };
+};
+
+module.exports = { readZip, isZip, zipIndex, assertZipWithin, ratioExceeded };